@@ -3,10 +3,10 @@ import { BasePlugin, BaseComponent } from 'vatom-spaces-plugins'
 /**
  * Asset Link Plugin
  *
- * This plugin links assets together via interactions. It registers two components:
+ * This plugin links assets together via interactions. It registers the following components:
  *
- *  • Trigger Component – activated via On-Click, Proximity, or Multi-Proximity interactions.
- *     It sends out a trigger message using a user-defined ActionID.
+ *  • Trigger Component – activated via On-Click, Proximity, or Multi-Proximity interactions, or on its own
+ *     (On Space Load, Interval, After Delay, Schedule). It sends out a trigger message using a user-defined ActionID.
  *
  *  • Receiver Component – listens for trigger messages (matching the ActionID) and then
  *     performs animations (and optionally plays a sound). It supports two animation modes:
@@ -15,12 +15,23 @@ import { BasePlugin, BaseComponent } from 'vatom-spaces-plugins'
  *
  *       - Transition: supports either:
  *           ◦ Cycle mode – a bidirectional cycle using lists of static states, forward transitions, and reverse transitions.
- *           ◦ Mapping mode – custom transitions defined by a JSON array of mappings (optionally with per-transition sounds).
+ *           ◦ Mapping mode – an event-driven state machine (states with transitions keyed by ActionID or event name,
+ *             guards, and on-enter/on-exit effects). Legacy JSON arrays of mappings are still accepted.
  * 
  *  • Asset Link Secondary Audio Output – relays sound from a specified source so that
  *     the sound is played from a secondary location.*
+ *
+ *  • Logic Component – combines several input ActionIDs (AND, OR, NOT, Sequence, N-of-M)
+ *     and emits an output ActionID as a regular trigger.
+ *
+ *  • Sequencer Component – plays a timeline of ActionIDs (with optional loops and repeats)
+ *     when its own ActionID is triggered, for choreographed multi-asset shows.
  * 
- * Triggers are always synchronized (broadcast to all users) by default.
+ * Triggers are always synchronized (broadcast to all users) by default. Every trigger carries a unique
+ * eventID so it is handled once per client, and proximity triggers are claimed so that only one client
+ * fires per occurrence. Proximity zones are checked by one plugin-level scheduler rather than by each
+ * trigger. Clients that join later
+ * request a snapshot of every receiver's state (including in-flight transitions) from their peers.
  *
  * @license MIT
  * @author Leone Amurri
@@ -35,38 +46,119 @@ export default class AssetLink extends BasePlugin {
   triggerComponents = []
   receiverComponents = []
   secondaryComponents = []
+  logicComponents = []
+  sequencerComponents = []
+  counterComponents = []
+  accessComponents = []
+  syncSnapshots = {}
+  zonePresence = {}
+  answeredSyncRequests = new Map()
+  seenEvents = new Map()
+  triggerClaims = {}
+  eventLog = []
+  componentDefinitions = {}
+  listeners = { trigger: [], stateChange: [], transitionComplete: [], holdProgress: [] }
+  clockOffset = 0
+  clockSamples = []
+  clockPeers = new Map()
+  clockSynced = false
+  inspectorToken = Math.random().toString(36).substring(2)
 
   async onLoad() {
     // Clear previous references.
     this.triggerComponents = []
     this.receiverComponents = []
     this.secondaryComponents = []
+    this.logicComponents = []
+    this.sequencerComponents = []
+    this.counterComponents = []
+    this.accessComponents = []
+    this.syncSnapshots = {}
+    this.zonePresence = {}
+    this.answeredSyncRequests = new Map()
+    this.seenEvents = new Map()
+    this.triggerClaims = {}
+    this.zoneBuckets = null
+    this.eventLog = []
+    this.inspectorOpen = false
     
     this.userID = await this.user.getID()
 
     // Register Trigger Component
-    this.objects.registerComponent(TriggerComponent, {
+    this.registerComponent(TriggerComponent, {
       id: 'asset-link-trigger',
       name: 'Asset Link Trigger',
       description: 'Sends a trigger based on user interaction using a defined ActionID.',
       settings: [
         { id: 'header-interaction', type: 'label', value: 'Interaction Settings' },
         { id: 'inputType', name: 'Input Type', type: 'select', help: 'Select the interaction type.',
-          values: ['On-Click', 'Proximity', 'Multi-Proximity'], default: 'On-Click' },
+          values: ['On-Click', 'Double-Click', 'Hold', 'Hover', 'Key Press', 'Proximity', 'Multi-Proximity', 'On Space Load', 'Interval', 'After Delay', 'Schedule'], default: 'On-Click' },
         { id: 'proximityDistance', name: 'Proximity Distance', type: 'number',
-          help: 'Distance (in meters) for proximity triggers.', default: 2 },
+          help: 'Distance (in meters) for proximity triggers. Radius of Sphere and Cylinder zones.', default: 2 },
         { id: 'requiredUserCount', name: 'Required Users', type: 'number',
-          help: 'Users required in Multi-Proximity mode.', default: 2 },
+          help: 'Users required inside the zone in Multi-Proximity mode.', default: 2 },
+        { id: 'doubleClickTime', name: 'Double-Click Time', type: 'number',
+          help: 'Seconds within which the second click must follow the first to count as a double-click.', default: 0.4 },
+        { id: 'holdTime', name: 'Hold Time', type: 'number',
+          help: 'Seconds the Key must be held inside the zone to fire a Hold input.', default: 1 },
+        { id: 'hoverTime', name: 'Hover Time', type: 'number',
+          help: 'Seconds the user must look at the object (keep it in the center of the view) to fire a Hover input.', default: 2 },
+        { id: 'key', name: 'Key', type: 'input',
+          help: 'Key that fires a Key Press input, or is held for a Hold input, while the user is inside the zone, e.g. "E".', default: 'E' },
+        { id: 'header-zone', type: 'label', value: 'Zone Settings' },
+        { id: 'zoneShape', name: 'Zone Shape', type: 'select',
+          help: 'Shape of the proximity zone.', values: ['Sphere', 'Box', 'Cylinder'], default: 'Sphere' },
+        { id: 'zoneOffset', name: 'Zone Offset', type: 'string',
+          help: 'Offset of the zone center from the object as "x, y, height" (in meters).', default: '0, 0, 0' },
+        { id: 'zoneSize', name: 'Box Size', type: 'string',
+          help: 'Box zone size as "width, depth, height" (in meters).', default: '4, 4, 3' },
+        { id: 'cylinderHeight', name: 'Cylinder Height Range', type: 'string',
+          help: 'Cylinder zone bottom and top as "bottom, top" (in meters, relative to the zone center).', default: '0, 3' },
+        { id: 'exitActionID', name: 'Exit ActionID', type: 'input',
+          help: 'ActionID to trigger when the zone stops being occupied: when the last user leaves it, or in Multi-Proximity mode when fewer than Required Users are left inside. The main ActionID is triggered on enter.' },
+        { id: 'dwellActionID', name: 'Dwell ActionID', type: 'input',
+          help: 'ActionID to trigger once the zone has been occupied for the Dwell Time.' },
+        { id: 'dwellTime', name: 'Dwell Time', type: 'number',
+          help: 'Seconds a user must stay in the zone before the Dwell ActionID fires.', default: 5 },
+        { id: 'header-timing', type: 'label', value: 'Timing Settings' },
+        { id: 'interval', name: 'Interval', type: 'number',
+          help: 'Seconds between triggers in Interval mode.', default: 60 },
+        { id: 'delayAfterActionID', name: 'After ActionID', type: 'input',
+          help: 'ActionID that starts the countdown in After Delay mode.' },
+        { id: 'delay', name: 'Delay', type: 'number',
+          help: 'Seconds to wait after the After ActionID fires (After Delay mode).', default: 5 },
+        { id: 'schedule', name: 'Schedule', type: 'input',
+          help: 'Cron expression in UTC (minute hour day month weekday) for Schedule mode, e.g. "0 * * * *" for every hour on the hour. If both day and weekday are set (neither starts with *), either one matching is enough, as in standard cron.', default: '0 * * * *' },
         { id: 'header-action', type: 'label', value: 'Action Settings' },
         { id: 'actionID', name: 'ActionID', type: 'input',
           help: 'Enter a unique ActionID for this trigger.' },
+        { id: 'randomActionIDs', name: 'Random ActionIDs', type: 'input',
+          help: 'Comma-separated ActionIDs. If set, each time the trigger fires it sends one of them, picked at random, instead of the ActionID.' },
+        { id: 'randomWeights', name: 'Random Weights', type: 'input',
+          help: 'Comma-separated relative weights of the Random ActionIDs, e.g. "1, 1, 8". Missing weights count as 1.' },
+        { id: 'randomSeed', name: 'Random Seed', type: 'input',
+          help: 'Optional. With a seed, the random picks follow the same sequence every time, e.g. for reproducible shows.' },
+        { id: 'clickActionID', name: 'Click ActionID', type: 'input',
+          help: 'ActionID to trigger on a click when the Input Type is another one. The Input Type itself sends the main ActionID.' },
+        { id: 'doubleClickActionID', name: 'Double-Click ActionID', type: 'input',
+          help: 'ActionID to trigger on a double-click when the Input Type is another one.' },
+        { id: 'holdActionID', name: 'Hold ActionID', type: 'input',
+          help: 'ActionID to trigger when the Key is held for the Hold Time and the Input Type is another one.' },
+        { id: 'hoverActionID', name: 'Hover ActionID', type: 'input',
+          help: 'ActionID to trigger after looking at the object for the Hover Time when the Input Type is another one.' },
+        { id: 'keyActionID', name: 'Key ActionID', type: 'input',
+          help: 'ActionID to trigger when the Key is pressed inside the zone and the Input Type is another one.' },
+        { id: 'event', name: 'Event Name', type: 'input',
+          help: 'Optional event name sent with the trigger. Mapping-mode receivers can key transitions on it.' },
+        { id: 'command', name: 'Command', type: 'input',
+          help: 'Optional receiver command: goto:<state>, next, previous, reset, toggle or play:<animation>. Leave empty to advance.' },
         { id: 'adminOnly', name: 'Admin Only', type: 'checkbox',
           help: 'If checked, only admin users can trigger this asset.', default: false }
       ]
     })
 
     // Register Receiver Component
-    this.objects.registerComponent(ReceiverComponent, {
+    this.registerComponent(ReceiverComponent, {
       id: 'asset-link-receiver',
       name: 'Asset Link Receiver',
       description: 'Listens for triggers and performs animations and sound. Also relays its sound via messages.',
@@ -78,21 +170,49 @@ export default class AssetLink extends BasePlugin {
           help: 'If checked, this receiver only processes triggers from admin users.', default: false },
         { id: 'header-sound', type: 'label', value: 'Sound Settings' },
         { id: 'sound', name: 'Sound', type: 'string',
-          help: 'Sound file URL (or path) for playback (applies to both Reactive and Transition modes).', default: '' },
+          help: 'Sound file URL (or path) for playback (applies to both Reactive and Transition modes). A comma-separated list plays one of the files each time.', default: '' },
+        { id: 'soundVariation', name: 'Sound Variation', type: 'select',
+          help: 'How a file is picked when a sound lists several: at random or in turn.',
+          values: ['Random', 'Round-Robin'], default: 'Random' },
         { id: 'volume', name: 'Volume', type: 'slider',
           help: 'Set the volume for audio playback (0 to 1).', default: 1, min: 0, max: 1, precision: 2 },
+        { id: 'soundDelay', name: 'Sound Delay', type: 'number',
+          help: 'Seconds to wait after a transition starts before its sound plays.', default: 0 },
+        { id: 'fadeIn', name: 'Fade In', type: 'number',
+          help: 'Seconds over which transition sounds fade in.', default: 0 },
+        { id: 'fadeOut', name: 'Fade Out', type: 'number',
+          help: 'Seconds over which transition sounds fade out before the transition ends.', default: 0 },
+        { id: 'transitionSounds', name: 'Transition Sounds', type: 'string',
+          help: 'JSON object keyed by animation name, overriding Sound for that animation, e.g. {"transition01": {"files": ["creak1.mp3", "creak2.mp3"], "volume": 0.5, "delay": 0.2}}.', default: '' },
+        { id: 'stateLoops', name: 'State Loops', type: 'string',
+          help: 'JSON object of ambient loops per static state, e.g. {"static02": "hum.mp3"} or {"static02": {"file": "hum.mp3", "volume": 0.4}}.', default: '' },
+        { id: 'crossfade', name: 'Crossfade', type: 'number',
+          help: 'Seconds over which the old state loop fades out and the new one fades in.', default: 1 },
         { id: 'disableLocalAudio', name: 'Disable Local Audio', type: 'checkbox',
           help: 'If checked, the receiver will not play audio locally (only secondary outputs will play audio).', default: false },
+        { id: 'header-effects', type: 'label', value: 'Property Effects' },
+        { id: 'propertyEffects', name: 'Property Effects', type: 'string',
+          help: 'JSON object keyed by animation or state name, listing effects that run whenever the receiver plays it, e.g. {"transition01": [{"type": "move", "by": [2, 0, 0], "duration": 1, "easing": "ease-in-out"}]}. Types: move, rotate, scale, visible, color, set. Add "object" to change another object.', default: '' },
+        { id: 'header-animation', type: 'label', value: 'Animation Settings' },
+        { id: 'animationOverrides', name: 'Animation Overrides', type: 'string',
+          help: 'JSON object keyed by animation name to override its duration (seconds) or playback speed, e.g. {"open": {"speed": 2}, "close": {"duration": 1.5}}.', default: '' },
         { id: 'animationMode', name: 'Animation Mode', type: 'select',
           help: 'Reactive: one-off animation; Transition: cycle or mapping transitions.',
           values: ['Reactive', 'Transition'], default: 'Reactive' },
         { id: 'header-reactive', type: 'label', value: 'Reactive Settings' },
         { id: 'reactiveAnimation', name: 'Reactive Animation', type: 'string',
-          help: 'Animation to play when triggered (active state).', default: 'active' },
+          help: 'Animation to play when triggered (active state). A comma-separated list plays one of them, picked at random.', default: 'active' },
+        { id: 'reactiveWeights', name: 'Reactive Weights', type: 'string',
+          help: 'Comma-separated relative weights of the Reactive Animations, e.g. "5, 1". Missing weights count as 1.', default: '' },
         { id: 'defaultAnimation', name: 'Default Animation', type: 'string',
           help: 'Animation to revert to (idle state).', default: 'default' },
         { id: 'cooldown', name: 'Cooldown', type: 'number',
           help: 'Minimum time (in seconds) before the asset can be triggered again. Default is 1 second.', default: 1 },
+        { id: 'busyPolicy', name: 'Busy Policy', type: 'select',
+          help: 'What to do with triggers that arrive during a transition or cooldown. Drop: ignore them; Queue: run them in order afterwards; Latest-Wins: run only the most recent afterwards; Interrupt: cut the current transition and start at once.',
+          values: ['Drop', 'Queue', 'Latest-Wins', 'Interrupt'], default: 'Drop' },
+        { id: 'queueSize', name: 'Queue Size', type: 'number',
+          help: 'Maximum number of queued triggers (Queue policy).', default: 3 },
         { id: 'header-transition', type: 'label', value: 'Transition Settings' },
         { id: 'transitionMode', name: 'Transition Mode', type: 'select',
           help: 'Cycle: bidirectional cycle; Mapping: custom transitions.',
@@ -103,544 +223,3106 @@ export default class AssetLink extends BasePlugin {
           help: 'Comma-separated forward transition animations.', default: 'transition01, transition02' },
         { id: 'reverseTransitions', name: 'Reverse Transitions', type: 'string',
           help: 'Comma-separated reverse transition animations (order will be reversed internally).', default: 'return02, return01' },
+        { id: 'cyclePolicy', name: 'Cycle Policy', type: 'select',
+          help: 'Where a trigger without a command moves a Cycle receiver. Ping-Pong: forward to the end, then back; Loop: from the last state back to the first through the Wrap Transition; One-Way: forward, stopping at the last state; Random-Next: to another state picked at random.',
+          values: ['Ping-Pong', 'Loop', 'One-Way', 'Random-Next'], default: 'Ping-Pong' },
+        { id: 'wrapTransition', name: 'Wrap Transition', type: 'string',
+          help: 'Animation from the last static state to the first (Loop policy). If empty, the reverse transitions are played back to the first state.', default: '' },
         { id: 'initialState', name: 'Initial State', type: 'string',
           help: 'Initial static state (Mapping mode).', default: 'static01' },
+        { id: 'autoRevert', name: 'Auto-Revert', type: 'number',
+          help: 'Seconds without triggers after which the receiver returns to its first static state (Cycle) or Initial State (Mapping) on its own. 0 turns it off.', default: 0 },
         { id: 'transitionMapping', name: 'Transition Mapping', type: 'string',
-          help: 'JSON array defining custom transitions (include keys: "from", "to", "forward", "return"; optional: "soundForward", "soundReturn").', default: '[]' }
+          help: 'JSON state machine ({"initial", "states": {name: {"animation", "onEnter", "onExit", "on": {event: {"to", "animation", "sound", "guard"}}}}}) or a legacy JSON array of {"from", "to", "forward", "return", "soundForward", "soundReturn"}. A "to" list with optional "weights" picks one of the states at random.', default: '[]' },
+        { id: 'randomSeed', name: 'Random Seed', type: 'string',
+          help: 'Optional. With a seed, random picks (Reactive Animation lists and Mapping targets) follow the same sequence every time.', default: '' }
       ]
     })
 
     // Register Secondary Audio Output Component
-    this.objects.registerComponent(AssetLinkSecondaryAudioOutput, {
+    this.registerComponent(AssetLinkSecondaryAudioOutput, {
       id: 'asset-link-secondary',
       name: 'Asset Link Secondary Audio Output',
       description: 'Relays sound from a specified source so that the sound is played from this asset’s location.',
       settings: [
-        { id: 'sourceID', name: 'Source Object ID', type: 'input', help: 'Enter the ID of the object whose sound should be relayed.' }
+        { id: 'sourceID', name: 'Source Object ID', type: 'input', help: 'Enter the ID of the object whose sound should be relayed. Separate several IDs with commas.' },
+        { id: 'sourceActionIDs', name: 'Source ActionIDs', type: 'input',
+          help: 'Comma-separated ActionIDs. Sound from any receiver listening for one of them is relayed too.' },
+        { id: 'outputVolume', name: 'Output Volume', type: 'slider',
+          help: 'Scales the volume of relayed sound on this output (1 plays at the source volume).', default: 1, min: 0, max: 2, precision: 2 },
+        { id: 'delayOffset', name: 'Delay Offset', type: 'number',
+          help: 'Extra seconds to wait before playing relayed sound, e.g. to line up speakers at different distances.', default: 0 },
+        { id: 'voiceLimit', name: 'Voice Limit', type: 'number',
+          help: 'Maximum number of relayed sounds (not counting state loops) playing at once. The oldest is cut when another arrives. 0 means no limit.', default: 4 },
+        { id: 'surroundGroup', name: 'Surround Group', type: 'input',
+          help: 'Outputs with the same group name share the relay: each sound plays on one of them in turn, and state loops play on all of them at a shared volume.' }
       ]
     })
-  }
 
-  async onMessage(msg) {
-    // Pass trigger messages to receiver components.
-    this.receiverComponents.forEach(comp => {
-      if (comp.getField('actionID') === msg.actionID) {
-        if (String(comp.getField('adminOnly')).toLowerCase() === "true" && !msg.isAdmin) return
-        comp.sendMessage({ fromUser: this.userID, action: 'trigger', actionID: msg.actionID, isAdmin: msg.isAdmin }, true)
-      }
+    // Register Logic Component
+    this.registerComponent(LogicComponent, {
+      id: 'asset-link-logic',
+      name: 'Asset Link Logic',
+      description: 'Combines several input ActionIDs and emits an output ActionID when its condition is met.',
+      settings: [
+        { id: 'header-logic', type: 'label', value: 'Logic Settings' },
+        { id: 'operator', name: 'Operator', type: 'select',
+          help: 'AND: all inputs within the time window; OR: any input; NOT: any input unless inhibited; Sequence: inputs in order; N-of-M: N distinct inputs within the time window.',
+          values: ['AND', 'OR', 'NOT', 'Sequence', 'N-of-M'], default: 'AND' },
+        { id: 'inputActionIDs', name: 'Input ActionIDs', type: 'string',
+          help: 'Comma-separated ActionIDs this gate listens for (in order for Sequence).', default: '' },
+        { id: 'inhibitActionIDs', name: 'Inhibit ActionIDs', type: 'string',
+          help: 'Comma-separated ActionIDs that block the output while active (NOT mode).', default: '' },
+        { id: 'requiredInputs', name: 'Required Inputs', type: 'number',
+          help: 'Number of distinct inputs required in N-of-M mode.', default: 2 },
+        { id: 'timeWindow', name: 'Time Window', type: 'number',
+          help: 'Seconds within which inputs must arrive (AND, NOT, N-of-M, Sequence). 0 means no limit.', default: 5 },
+        { id: 'header-output', type: 'label', value: 'Output Settings' },
+        { id: 'outputActionID', name: 'Output ActionID', type: 'input',
+          help: 'ActionID to trigger when the condition is met.' },
+        { id: 'latch', name: 'Latch Output', type: 'checkbox',
+          help: 'If checked, the gate fires only once until the Reset ActionID is triggered.', default: false },
+        { id: 'resetActionID', name: 'Reset ActionID', type: 'input',
+          help: 'ActionID that clears pending inputs and re-arms a latched gate.' }
+      ]
     })
-    // Pass relay sound messages to secondary audio output components.
-    this.secondaryComponents.forEach(comp => {
-      comp.sendMessage(msg, true)
+
+    // Register Sequencer Component
+    this.registerComponent(SequencerComponent, {
+      id: 'asset-link-sequencer',
+      name: 'Asset Link Sequencer',
+      description: 'Plays a timeline of ActionIDs when triggered, for choreographed multi-asset shows.',
+      settings: [
+        { id: 'header-sequencer', type: 'label', value: 'Sequencer Settings' },
+        { id: 'actionID', name: 'ActionID', type: 'input',
+          help: 'ActionID that starts the timeline (or resumes it when paused).' },
+        { id: 'adminOnly', name: 'Admin Only', type: 'checkbox',
+          help: 'If checked, this sequencer only processes triggers from admin users.', default: false },
+        { id: 'timeline', name: 'Timeline', type: 'string',
+          help: 'JSON array of steps, e.g. [{"at": 0, "actionID": "door"}, {"at": 1.5, "actionID": "lights"}]. "at" is in seconds.', default: '[]' },
+        { id: 'passLength', name: 'Pass Length', type: 'number',
+          help: 'Length (in seconds) of one pass through the timeline. 0 uses the time of the last step.', default: 0 },
+        { id: 'repeatCount', name: 'Repeat Count', type: 'number',
+          help: 'Number of times the timeline is played.', default: 1 },
+        { id: 'loop', name: 'Loop', type: 'checkbox',
+          help: 'If checked, the timeline repeats until stopped (Repeat Count is ignored).', default: false },
+        { id: 'header-commands', type: 'label', value: 'Command Settings' },
+        { id: 'stopActionID', name: 'Stop ActionID', type: 'input',
+          help: 'ActionID that stops the timeline and rewinds it to the start.' },
+        { id: 'pauseActionID', name: 'Pause ActionID', type: 'input',
+          help: 'ActionID that pauses the timeline. The start ActionID resumes it.' },
+        { id: 'restartActionID', name: 'Restart ActionID', type: 'input',
+          help: 'ActionID that restarts the timeline from the beginning.' }
+      ]
     })
-  }
-}
 
-/**
- * Trigger Component
- */
-class TriggerComponent extends BaseComponent {
-  async onLoad() {
-    this.plugin.triggerComponents.push(this)
-    this.userID = await this.plugin.user.getID()
-    this.currentInputType = (this.getField('inputType') || "On-Click").trim().toLowerCase()
-    if (this.currentInputType === 'proximity' || this.currentInputType === 'multi-proximity') {
-      this.timer = setInterval(this.checkProximity.bind(this), 100)
-    }
-    this.inputTypeChecker = setInterval(() => {
-      const newType = (this.getField('inputType') || "On-Click").trim().toLowerCase()
-      if (newType !== this.currentInputType) {
-        this.onSettingsUpdated()
-      }
-    }, 500)
-  }
+    // Register Counter Component
+    this.registerComponent(CounterComponent, {
+      id: 'asset-link-counter',
+      name: 'Asset Link Counter',
+      description: 'Keeps a named value that ActionIDs change, and triggers ActionIDs when the value reaches its thresholds.',
+      settings: [
+        { id: 'header-counter', type: 'label', value: 'Counter Settings' },
+        { id: 'variableName', name: 'Name', type: 'input',
+          help: 'Name of the value, shown in the Link Inspector and the event log.', default: 'count' },
+        { id: 'initialValue', name: 'Initial Value', type: 'number',
+          help: 'Value before the first change and after a reset.', default: 0 },
+        { id: 'step', name: 'Step', type: 'number',
+          help: 'Amount each increment adds and each decrement subtracts.', default: 1 },
+        { id: 'minimum', name: 'Minimum', type: 'input',
+          help: 'Lowest value the counter can reach. Leave empty for no limit.', default: '' },
+        { id: 'maximum', name: 'Maximum', type: 'input',
+          help: 'Highest value the counter can reach. Leave empty for no limit.', default: '' },
+        { id: 'adminOnly', name: 'Admin Only', type: 'checkbox',
+          help: 'If checked, this counter only processes triggers from admin users.', default: false },
+        { id: 'header-counter-inputs', type: 'label', value: 'Input Settings' },
+        { id: 'incrementActionIDs', name: 'Increment ActionIDs', type: 'string',
+          help: 'Comma-separated ActionIDs that add Step to the value.', default: '' },
+        { id: 'decrementActionIDs', name: 'Decrement ActionIDs', type: 'string',
+          help: 'Comma-separated ActionIDs that subtract Step from the value.', default: '' },
+        { id: 'setActionID', name: 'Set ActionID', type: 'input',
+          help: 'ActionID that sets the value to Set Value.' },
+        { id: 'setValue', name: 'Set Value', type: 'number',
+          help: 'Value the Set ActionID sets.', default: 0 },
+        { id: 'resetActionID', name: 'Reset ActionID', type: 'input',
+          help: 'ActionID that returns the value to Initial Value.' },
+        { id: 'header-counter-outputs', type: 'label', value: 'Output Settings' },
+        { id: 'thresholds', name: 'Thresholds', type: 'string',
+          help: 'JSON array of ActionIDs to trigger when a change makes the value meet a condition, e.g. [{"equals": 5, "actionID": "open-vault"}, {"atLeast": 3, "actionID": "hint"}, {"modulo": 2, "actionID": "chime"}]. atLeast fires when the value rises to or past it; modulo fires when the value becomes a multiple of it.', default: '[]' },
+        { id: 'stateActionID', name: 'State ActionID', type: 'input',
+          help: 'ActionID of Cycle mode receivers whose static state follows the value: 0 is the first static state, 1 the second, and so on.' }
+      ]
+    })
 
-  async onSettingsUpdated() {
-    const newInputType = (this.getField('inputType') || "On-Click").trim().toLowerCase()
-    if (newInputType !== this.currentInputType) {
-      this.currentInputType = newInputType
-      this.triggered = false
-      if (this.timer) {
-        clearInterval(this.timer)
-        this.timer = null
-      }
-    }
-    if (newInputType === 'proximity' || newInputType === 'multi-proximity') {
-      this.timer = setInterval(this.checkProximity.bind(this), 100)
-    } else {
-      if (this.timer) {
-        clearInterval(this.timer)
-        this.timer = null
-      }
-    }
-  }
+    // Register Access Policy Component
+    this.registerComponent(AccessPolicyComponent, {
+      id: 'asset-link-access',
+      name: 'Asset Link Access Policy',
+      description: 'Limits who can send ActionIDs, how often, and from where.',
+      settings: [
+        { id: 'header-access', type: 'label', value: 'Access Policy Settings' },
+        { id: 'actionIDs', name: 'ActionIDs', type: 'string',
+          help: 'Comma-separated ActionIDs this policy applies to. * applies it to every ActionID.', default: '*' },
+        { id: 'allow', name: 'Allow', type: 'string',
+          help: 'Comma-separated user IDs or roles (admin, visitor, everyone, or a role from Roles) that may send these ActionIDs. Leave empty to allow everyone.', default: '' },
+        { id: 'deny', name: 'Deny', type: 'string',
+          help: 'Comma-separated user IDs or roles that may not send these ActionIDs. Deny wins over Allow.', default: '' },
+        { id: 'rateLimit', name: 'Rate Limit', type: 'number',
+          help: 'Maximum number of these triggers each user can send within the Rate Window. 0 means no limit.', default: 0 },
+        { id: 'rateWindow', name: 'Rate Window', type: 'number',
+          help: 'Seconds over which the Rate Limit counts.', default: 60 },
+        { id: 'oncePerUser', name: 'Once Per User', type: 'checkbox',
+          help: 'If checked, each user can send each of these ActionIDs only once. This is saved between sessions.', default: false },
+        { id: 'requireInZone', name: 'Require In Zone', type: 'checkbox',
+          help: 'If checked, the sender must be inside the zone of the trigger that sent it.', default: false },
+        { id: 'header-roles', type: 'label', value: 'Roles' },
+        { id: 'admins', name: 'Admin IDs', type: 'string',
+          help: 'Comma-separated user IDs that count as admins in Asset Link. Once any policy lists them, admin checks use this list instead of the admin flag in the trigger.', default: '' },
+        { id: 'roles', name: 'Roles', type: 'string',
+          help: 'JSON object of named roles and their user IDs, e.g. {"staff": ["user-id-1", "user-id-2"]}.', default: '' }
+      ]
+    })
 
-  onUnload() {
-    if (this.timer) {
-      clearInterval(this.timer)
-      this.timer = null
-    }
-    if (this.inputTypeChecker) {
-      clearInterval(this.inputTypeChecker)
-      this.inputTypeChecker = null
-    }
-    const index = this.plugin.triggerComponents.indexOf(this)
-    if (index > -1) {
-      this.plugin.triggerComponents.splice(index, 1)
-    }
-  }
+    // Let admins check the links in the space for misconfigurations.
+    this.menus.register({
+      id: 'asset-link-diagnostics',
+      section: 'controls',
+      adminOnly: true,
+      text: 'Link Check',
+      action: () => this.showDiagnostics()
+    })
+    this.menus.register({
+      id: 'asset-link-inspector',
+      section: 'controls',
+      adminOnly: true,
+      text: 'Link Inspector',
+      panel: { iframeURL: 'data:text/html,' + encodeURIComponent(createInspectorHTML(this.inspectorToken)), width: 480, height: 640 }
+    })
 
-  async onClick() {
-    if ((this.getField('inputType') || "On-Click").trim().toLowerCase() === 'on-click') {
-      await this.trigger()
-    }
-  }
-
-  async checkProximity() {
-    const inputType = (this.getField('inputType') || "On-Click").trim().toLowerCase()
-    const proximityDistance = parseFloat(this.getField('proximityDistance')) || 2
-    const userPosition = await this.plugin.user.getPosition()
-    const objPosition = { x: this.fields.x, y: this.fields.height, z: this.fields.y }
-    const distance = this.dist(objPosition.x, objPosition.y, objPosition.z,
-                               userPosition.x, userPosition.y, userPosition.z)
-    if (inputType === 'proximity') {
-      if (distance <= proximityDistance) {
-        if (!this.triggered) {
-          this.triggered = true
-          await this.trigger()
-        }
-      } else {
-        this.triggered = false
-      }
-    } else if (inputType === 'multi-proximity') {
-      if (distance > proximityDistance) {
-        this.triggered = false
-        return
-      }
-      const users = await this.plugin.user.getNearbyUsers()
-      const count = users && Array.isArray(users)
-        ? users.filter(u => typeof u.distance === 'number' && u.distance <= proximityDistance).length
-        : 0
-      const required = parseInt(this.getField('requiredUserCount')) || 2
-      if (count >= required && !this.triggered) {
-        this.triggered = true
-        await this.trigger()
-      } else if (count < required) {
-        this.triggered = false
-      }
+    // Let other plugins fire ActionIDs and query receivers through hooks, where the host supports them.
+    if (this.hooks && this.hooks.addHandler) {
+      this.hooks.addHandler(HOOK_PREFIX + 'fire', data => {
+        if (!data || !data.actionID) return { error: 'An ActionID is required.' }
+        return this.fire(data.actionID, data)
+      })
+      this.hooks.addHandler(HOOK_PREFIX + 'getState', data => this.getReceiverState(data && data.objectID))
+      this.hooks.addHandler('controls.key.down', e => this.handleKey(e))
     }
+
+    this.scheduleTick(TICK_ACTIVE)
+    this.scheduleClockPing(0)
   }
 
-  async trigger() {
-    const actionID = this.getField('actionID') || ''
-    const isAdmin = await this.plugin.user.isAdmin()
-    this.plugin.messages.send({
+  /**
+   * Sends a trigger for an ActionID to every client, as a trigger component would. Options: command and event
+   * (as on a trigger) and payload (any JSON value, passed to "trigger" listeners). The trigger counts as an
+   * admin's if the host says the local user is one, or, once an access policy lists Admin IDs, if the local user
+   * is listed. Returns the trigger's eventID.
+   */
+  async fire(actionID, options = {}) {
+    if (!actionID) throw new Error('An ActionID is required.')
+    const eventID = createEventID(this.instanceID)
+    this.logEvent({ kind: 'fired', component: options.objectID === 'inspector' ? 'Inspector' : 'API', actionID: actionID, userID: this.userID, detail: options.command || options.event || '' })
+    this.messages.send({
       action: 'trigger',
       actionID: actionID,
-      instanceID: this.plugin.instanceID,
+      command: options.command || undefined,
+      event: options.event || undefined,
+      payload: options.payload,
+      eventID: eventID,
+      instanceID: this.instanceID,
       userID: this.userID,
-      objectID: this.objectID,
-      isAdmin: isAdmin
+      objectID: options.objectID || 'api',
+      startAt: this.now() + START_LEAD,
+      isAdmin: await this.user.isAdmin()
     }, false)
+    return eventID
   }
 
-  dist(x0, y0, z0, x1, y1, z1) {
-    const dx = x1 - x0, dy = y1 - y0, dz = z1 - z0
-    return Math.sqrt(dx * dx + dy * dy + dz * dz)
+  /**
+   * Passes a key press to the triggers listening for that key. While a key is held down, the host repeats it:
+   * the repeats keep Hold inputs going and are otherwise ignored.
+   */
+  handleKey(e) {
+    const key = normalizeKey(e)
+    if (!key) return
+    this.triggerComponents
+      .filter(comp => (comp.isInputActive('key press') || comp.isInputActive('hold')) && normalizeKey(comp.getField('key')) === key)
+      .forEach(comp => comp.onKeyDown(!!(e && e.repeat)))
   }
 
-  async getNearbyUserCount(radius) {
-    const users = await this.plugin.user.getNearbyUsers()
-    if (users && Array.isArray(users)) {
-      return users.filter(u => typeof u.distance === 'number' && u.distance <= radius).length
+  /**
+   * Subscribes to "trigger" (every trigger this client handles), "stateChange" (a receiver settled on a new
+   * state), "transitionComplete" (a receiver finished the run started by a trigger) or "holdProgress" (the
+   * local user is holding a Hold input; progress rises to 1, and is null if the hold was let go early).
+   * Returns a function that unsubscribes. Events are local to this client, like the receivers' animations.
+   */
+  on(eventName, handler) {
+    if (!this.listeners[eventName]) throw new Error('Unknown event "' + eventName + '".')
+    this.listeners[eventName].push(handler)
+    return () => {
+      const index = this.listeners[eventName].indexOf(handler)
+      if (index > -1) this.listeners[eventName].splice(index, 1)
     }
-    return 0
   }
 
-  async onMessage(msg) { }
-}
-
-/**
- * Receiver Component with Dynamic Updating
- */
-class ReceiverComponent extends BaseComponent {
-  async onLoad() {
-    this.plugin.receiverComponents.push(this)
-    this.userID = await this.plugin.user.getID()
+  /** Passes an event to the listeners registered with on, and to other plugins as the assetlink.<event> hook. */
+  emitEvent(eventName, data) {
+    for (const handler of this.listeners[eventName].slice()) {
+      try {
+        handler(data)
+      } catch (e) {
+        this.logEvent({ kind: 'error', component: 'API', detail: 'A "' + eventName + '" listener failed: ' + (e && e.message || e) })
+      }
+    }
+    if (this.hooks && this.hooks.trigger) this.hooks.trigger(HOOK_PREFIX + eventName, data)
+  }
 
-    const props = await this.plugin.objects.get(this.objectID)
-    if (props && props.currentState) {
-      this.currentState = props.currentState
+  /**
+   * Returns a receiver's current state ({ objectID, actionID, state, previousState, direction, busy, pending }),
+   * or null if the object has no receiver on this client.
+   */
+  getReceiverState(objectID) {
+    const comp = this.receiverComponents.find(c => c.objectID === objectID)
+    if (!comp) return null
+    return {
+      objectID: comp.objectID,
+      actionID: comp.getField('actionID') || '',
+      state: comp.currentState || '',
+      previousState: comp.previousState || '',
+      direction: comp.currentDirection,
+      busy: comp.processingTransition,
+      pending: comp.pendingTriggers.length
     }
-    if (props && typeof props.currentDirection !== 'undefined') {
-      this.currentDirection = props.currentDirection
+  }
+
+  /** Registers a component with the host and keeps its definition for export and import. */
+  registerComponent(cls, definition) {
+    this.componentDefinitions[definition.id] = { cls, definition }
+    this.objects.registerComponent(cls, definition)
+  }
+
+  onUnload() {
+    if (this.tickTimer) {
+      clearTimeout(this.tickTimer)
+      this.tickTimer = null
     }
-    
-    await this.readSettings()
-    // Periodically update settings dynamically.
-    this.settingsChecker = setInterval(() => {
-      this.readSettings()
-    }, 1000)
+    clearTimeout(this.clockTimer)
+  }
 
-    this.processingTransition = false
-    this.lastTriggerTime = 0
+  /** Returns the shared time: this client's clock corrected by its estimated offset from the reference peer. */
+  now() {
+    return Date.now() + this.clockOffset
   }
 
-  async onSettingsUpdated() {
-    await this.readSettings()
+  /**
+   * Pings the space a few times in quick succession after loading, then every CLOCK_SYNC_INTERVAL. If no one
+   * has answered by the last quick ping, this client is alone and its own clock becomes the shared time.
+   */
+  scheduleClockPing(count) {
+    this.clockTimer = setTimeout(() => {
+      if (count === CLOCK_STARTUP_PINGS - 1 && this.clockSamples.length === 0) this.clockSynced = true
+      this.messages.send({ action: 'clockPing', instanceID: this.instanceID, sentAt: Date.now(), synced: this.clockSynced }, false)
+      this.scheduleClockPing(count + 1)
+    }, count < CLOCK_STARTUP_PINGS ? count * 1000 : CLOCK_SYNC_INTERVAL)
   }
 
-  async readSettings() {
-    const animMode = (this.getField('animationMode') || 'Reactive').trim()
-    const rawDisable = this.getField('disableLocalAudio')
-    this.disableLocalAudio = rawDisable === true || String(rawDisable).toLowerCase() === "true"
-    
-    if (animMode === 'Transition') {
-      this.transitionMode = (this.getField('transitionMode') || 'Cycle').trim()
-      if (this.transitionMode === 'Cycle') {
-        let staticStatesStr = this.getField('staticStates')
-        if (!staticStatesStr || staticStatesStr.trim().length === 0) {
-          staticStatesStr = 'static01, static02, static03'
-        }
-        this.staticStates = staticStatesStr.split(',').map(s => s.trim()).filter(s => s.length > 0)
-        if (!this.currentState || !this.staticStates.includes(this.currentState)) {
-          this.currentIndex = 0
-          this.currentState = this.staticStates[0]
-        } else {
-          this.currentIndex = this.staticStates.indexOf(this.currentState)
-        }
-        let forwardStr = this.getField('forwardTransitions')
-        if (!forwardStr || forwardStr.trim().length === 0) {
-          forwardStr = 'transition01, transition02'
-        }
-        this.forwardTransitions = forwardStr.split(',').map(s => s.trim()).filter(s => s.length > 0)
-        let reverseStr = this.getField('reverseTransitions')
-        if (!reverseStr || reverseStr.trim().length === 0) {
-          reverseStr = 'return02, return01'
-        }
-        this.reverseTransitions = reverseStr.split(',').map(s => s.trim()).filter(s => s.length > 0).reverse()
-        if (this.currentIndex >= this.staticStates.length - 1) {
-          this.currentDirection = -1
-        } else if (this.currentIndex <= 0) {
-          this.currentDirection = 1
-        } else if (typeof this.currentDirection === 'undefined') {
-          this.currentDirection = 1
-        }
-      } else {
-        this.currentState = this.getField('initialState') || 'static01'
-        try {
-          this.mappingArray = JSON.parse(this.getField('transitionMapping') || '[]')
-        } catch (e) {
-          this.mappingArray = []
-        }
+  /**
+   * Estimates the offset of this client's clock. A client is synced once it has an estimate (or found itself
+   * alone), and says so in its pings. The reference is the synced peer with the lowest instanceID heard from
+   * recently: only it answers pings, with its shared time. A client that has just joined is not a candidate until
+   * it has taken its estimate from the current reference, so when it does take over, it carries on that time
+   * instead of replacing it with its own clock. The offset comes from the answer with the shortest round trip
+   * among the last CLOCK_SAMPLES, with half the round trip added for the time the answer took to arrive.
+   */
+  handleClock(msg) {
+    if (msg.instanceID === this.instanceID) return
+    const now = Date.now()
+    if (msg.action === 'clockPing') {
+      if (msg.synced) this.clockPeers.set(msg.instanceID, now)
+      for (const [id, time] of this.clockPeers) {
+        if (now - time > CLOCK_PEER_TIMEOUT) this.clockPeers.delete(id)
       }
+      if (this.clockSynced && [...this.clockPeers.keys()].every(id => id > this.instanceID)) {
+        this.messages.send({ action: 'clockPong', to: msg.instanceID, instanceID: this.instanceID, sentAt: msg.sentAt, time: this.now() }, false)
+      }
+    } else if (msg.action === 'clockPong' && msg.to === this.instanceID) {
+      const roundTrip = now - msg.sentAt
+      this.clockSamples.push({ roundTrip: roundTrip, offset: msg.time + roundTrip / 2 - now })
+      if (this.clockSamples.length > CLOCK_SAMPLES) this.clockSamples.shift()
+      this.clockOffset = this.clockSamples.reduce((best, sample) => sample.roundTrip < best.roundTrip ? sample : best).offset
+      this.clockSynced = true
     }
   }
 
-  onUnload() {
-    const index = this.plugin.receiverComponents.indexOf(this)
-    if (index > -1) {
-      this.plugin.receiverComponents.splice(index, 1)
+  /**
+   * Handles a message from the network. fromID is the sender's user ID where the host reports it; a trigger
+   * naming another user is dropped. Triggers pass the access policies before they reach the components.
+   */
+  async onMessage(msg, fromID) {
+    // Late-joiner state synchronization.
+    if (msg.action === 'syncRequest') {
+      this.answerSync(msg)
+      return
+    }
+    if (msg.action === 'syncSnapshot') {
+      this.applySync(msg)
+      return
+    }
+    if (msg.action === 'triggerClaim') {
+      this.handleClaim(msg)
+      return
+    }
+    if (msg.action === 'autoRevert') {
+      this.receiverComponents.filter(comp => comp.objectID === msg.objectID).forEach(comp => comp.onRevert(msg))
+      return
     }
-    if (this.settingsChecker) {
-      clearInterval(this.settingsChecker)
-      this.settingsChecker = null
+    if (msg.action === 'clockPing' || msg.action === 'clockPong') {
+      this.handleClock(msg)
+      return
+    }
+    if (msg.action === 'zonePresence') {
+      this.setZonePresence(msg.objectID, fromID || msg.userID, msg.inside)
+      return
+    }
+    // Requests from the inspector panel carry the token it was created with.
+    if (String(msg.action).startsWith('inspector')) {
+      if (msg.token === this.inspectorToken) this.handleInspector(msg)
+      return
+    }
+    if (msg.action === 'trigger') {
+      if (this.isDuplicate(msg)) return
+      if (fromID && msg.userID && msg.userID !== fromID) {
+        this.logEvent({ kind: 'dropped', actionID: msg.actionID, userID: fromID, detail: 'Sent by ' + fromID + ' in the name of ' + msg.userID })
+        return
+      }
+      const sender = this.getSender(msg, fromID)
+      const reason = await this.checkAccess(msg, sender)
+      if (reason) {
+        this.logEvent({ kind: 'dropped', component: 'Access Policy', objectID: msg.objectID, actionID: msg.actionID, userID: sender.userID, detail: reason })
+        return
+      }
+      msg = { ...msg, userID: sender.userID, isAdmin: sender.isAdmin }
     }
+    this.routeMessage(msg)
   }
 
-  async onClick() { }
+  /**
+   * Passes a trigger created on this client (a logic gate's output, a sequencer step or a counter threshold)
+   * to the components. Every client creates it from the same input, which already passed the access policies.
+   */
+  dispatchTrigger(msg) {
+    if (this.isDuplicate(msg)) return
+    this.routeMessage(msg)
+  }
 
-  async onMessage(msg) {
-    if (msg.action === 'trigger' && msg.actionID === this.getField('actionID')) {
-      if (String(this.getField('adminOnly')).toLowerCase() === "true" && !msg.isAdmin) return
-      this.handleTrigger()
-    }
+  /** Returns true (and logs the drop) if this client has already handled the trigger's eventID. */
+  isDuplicate(msg) {
+    if (markEventSeen(this.seenEvents, msg.eventID)) return false
+    this.logEvent({ kind: 'dropped', actionID: msg.actionID, userID: msg.userID, detail: 'Already handled (duplicate eventID)' })
+    return true
   }
 
-  async handleTrigger() {
-    const cooldown = parseFloat(this.getField('cooldown')) || 1
-    const now = Date.now()
-    if (now - this.lastTriggerTime < cooldown * 1000) return
-    this.lastTriggerTime = now
+  /**
+   * Returns the sender of a trigger as { userID, isAdmin }. Senders are admins if an access policy lists them as
+   * Admin IDs, or, while no policy lists any, if the host said so on the sending client (the trigger's admin flag).
+   */
+  getSender(msg, fromID) {
+    const userID = fromID || msg.userID || ''
+    const admins = this.accessComponents.flatMap(comp => comp.admins)
+    return { userID, isAdmin: admins.length > 0 ? admins.includes(userID) : !!msg.isAdmin }
+  }
 
-    if (this.processingTransition) return
-    this.processingTransition = true
-    const mode = (this.getField('animationMode') || 'Reactive').trim()
-    if (mode === 'Reactive') {
-      await this.handleReactive()
-    } else if (mode === 'Transition') {
-      const transMode = (this.getField('transitionMode') || 'Cycle').trim()
-      if (transMode === 'Cycle') {
-        await this.handleTransitionCycle()
-      } else {
-        await this.handleTransitionMapping()
-      }
-    } else {
-      this.processingTransition = false
+  /**
+   * Checks a trigger against every access policy for its ActionID. Returns the reason it is refused, or an
+   * empty string if all policies let it through, in which case it counts towards their limits.
+   */
+  async checkAccess(msg, sender) {
+    const policies = this.accessComponents.filter(comp => comp.appliesTo(msg.actionID))
+    for (const comp of policies) {
+      const reason = await comp.check(msg, sender)
+      if (reason) return reason
     }
+    policies.forEach(comp => comp.record(msg, sender))
+    return ''
   }
 
-  async getAnimationDuration(animationName) {
-    try {
-      const animStr = await this.plugin.objects.getAnimations(this.objectID)
-      const animations = JSON.parse(animStr)
-      const anim = animations.find(a => a.name.toLowerCase().includes(animationName.toLowerCase()))
-      if (anim && anim.duration) {
-        return anim.duration * 1000
-      }
-    } catch (e) { }
-    return 2000
+  /** Returns true if a user belongs to a role defined by any access policy. */
+  hasRole(userID, role) {
+    return this.accessComponents.some(comp => Array.isArray(comp.roles[role]) && comp.roles[role].includes(userID))
   }
 
-  async handleReactive() {
-    const reactiveAnimation = this.getField('reactiveAnimation')
-    const defaultAnimation = this.getField('defaultAnimation')
-    const duration = await this.getAnimationDuration(reactiveAnimation)
-    await this.plugin.objects.update(this.objectID, {
-      animation: [{ name: reactiveAnimation }],
-      currentState: reactiveAnimation,
-      dateModified: Date.now()
-    }, false)
-    if (!this.disableLocalAudio) {
-      this.playSound(duration)
-    } else {
-      this.plugin.messages.send({
-        action: 'relaySound',
-        sourceID: this.objectID,
-        soundFile: this.getField('sound'),
-        volume: parseFloat(this.getField('volume')) || 1,
-        duration: duration
-      }, false)
-    }
-    setTimeout(async () => {
-      await this.plugin.objects.update(this.objectID, {
-        animation: [{ name: defaultAnimation }],
-        currentState: defaultAnimation,
-        dateModified: Date.now()
-      }, false)
-      setTimeout(() => {
-        this.processingTransition = false
-      }, (parseFloat(this.getField('cooldown')) || 1) * 1000)
-    }, duration)
+  /**
+   * Returns true if the sender is inside the zone of the trigger that sent the message. Each client asks the host
+   * where the sender is, so a modified client cannot claim to be inside.
+   */
+  async isSenderInZone(msg, sender) {
+    const trigger = this.triggerComponents.find(c => c.objectID === msg.objectID)
+    if (!trigger) return false
+    const position = sender.userID === this.userID ? await this.user.getPosition() : await this.user.getUserLocation(sender.userID)
+    return !!position && isInsideZone(trigger.getZone(), position)
   }
 
-  async handleTransitionCycle() {
-    if (!this.staticStates || this.staticStates.length === 0) {
-      let defaultStates = 'static01, static02, static03'
-      this.staticStates = defaultStates.split(',').map(s => s.trim())
-      this.currentIndex = 0
-      this.currentState = this.staticStates[0]
-      this.currentDirection = 1
-    }
-    if (this.currentIndex >= this.staticStates.length - 1) {
-      this.currentDirection = -1
-    } else if (this.currentIndex <= 0) {
-      this.currentDirection = 1
+  /** Logs a trigger and passes it, or a relayed sound, to the components that act on it. */
+  routeMessage(msg) {
+    if (msg.action === 'trigger') {
+      this.logEvent({ kind: 'received', component: 'Plugin', objectID: msg.objectID, actionID: msg.actionID, userID: msg.userID, detail: msg.command || msg.event || '' })
+      this.emitEvent('trigger', { actionID: msg.actionID, command: msg.command, event: msg.event, payload: msg.payload, eventID: msg.eventID, userID: msg.userID, objectID: msg.objectID, isAdmin: !!msg.isAdmin })
     }
-    if (this.currentDirection === 1) {
-      let nextIndex = this.currentIndex + 1
-      if (nextIndex < this.staticStates.length) {
-        let transitionAnim = this.forwardTransitions[this.currentIndex] || this.forwardTransitions[0] || 'transition01'
-        let duration = await this.getAnimationDuration(transitionAnim)
-        await this.plugin.objects.update(this.objectID, { animation: [{ name: transitionAnim }], dateModified: Date.now() }, false)
-        if (!this.disableLocalAudio) {
-          this.playSound(duration)
-        } else {
-          this.plugin.messages.send({
-            action: 'relaySound',
-            sourceID: this.objectID,
-            soundFile: this.getField('sound'),
-            volume: parseFloat(this.getField('volume')) || 1,
-            duration: duration
-          }, false)
+    // Pass trigger messages to receiver components.
+    this.receiverComponents.forEach(comp => {
+      if (msg.action === 'trigger' && comp.listensTo(msg.actionID)) {
+        if (String(comp.getField('adminOnly')).toLowerCase() === "true" && !msg.isAdmin) {
+          this.logEvent({ kind: 'dropped', component: 'Receiver', objectID: comp.objectID, actionID: msg.actionID, userID: msg.userID, detail: 'Admin Only receiver and the sender is not an admin' })
+          return
         }
-        setTimeout(() => {
-          this.plugin.objects.update(this.objectID, {
-            animation: [{ name: this.staticStates[nextIndex] }],
-            currentState: this.staticStates[nextIndex],
-            dateModified: Date.now()
-          }, false)
-          this.currentIndex = nextIndex
-          this.currentState = this.staticStates[this.currentIndex]
-          this.plugin.objects.update(this.objectID, { currentState: this.currentState, currentDirection: this.currentDirection, dateModified: Date.now() }, false)
-          this.processingTransition = false
-        }, duration)
-      } else {
-        this.processingTransition = false
+        comp.sendMessage({ fromUser: this.userID, action: 'trigger', actionID: msg.actionID, event: msg.event, command: msg.command, eventID: msg.eventID, instanceID: msg.instanceID, startAt: msg.startAt, isAdmin: msg.isAdmin }, true)
       }
-    } else if (this.currentDirection === -1) {
-      let nextIndex = this.currentIndex - 1
-      if (nextIndex >= 0) {
-        let transitionAnim = this.reverseTransitions[nextIndex] || this.reverseTransitions[0] || 'return01'
-        let duration = await this.getAnimationDuration(transitionAnim)
-        await this.plugin.objects.update(this.objectID, { animation: [{ name: transitionAnim }], dateModified: Date.now() }, false)
-        if (!this.disableLocalAudio) {
-          this.playSound(duration)
-        } else {
-          this.plugin.messages.send({
-            action: 'relaySound',
-            sourceID: this.objectID,
-            soundFile: this.getField('sound'),
-            volume: parseFloat(this.getField('volume')) || 1,
-            duration: duration
-          }, false)
-        }
-        setTimeout(() => {
-          this.plugin.objects.update(this.objectID, {
-            animation: [{ name: this.staticStates[nextIndex] }],
-            currentState: this.staticStates[nextIndex],
-            dateModified: Date.now()
-          }, false)
-          this.currentIndex = nextIndex
-          this.currentState = this.staticStates[this.currentIndex]
-          this.plugin.objects.update(this.objectID, { currentState: this.currentState, currentDirection: this.currentDirection, dateModified: Date.now() }, false)
-          this.processingTransition = false
-        }, duration)
-      } else {
-        this.processingTransition = false
+    })
+    // Pass trigger messages to logic components.
+    if (msg.action === 'trigger') {
+      this.logicComponents.forEach(comp => {
+        comp.sendMessage({ fromUser: this.userID, action: 'trigger', actionID: msg.actionID, eventID: msg.eventID, instanceID: msg.instanceID, startAt: msg.startAt, isAdmin: msg.isAdmin }, true)
+      })
+      this.sequencerComponents.forEach(comp => {
+        comp.sendMessage({ fromUser: this.userID, action: 'trigger', actionID: msg.actionID, eventID: msg.eventID, instanceID: msg.instanceID, startAt: msg.startAt, isAdmin: msg.isAdmin }, true)
+      })
+      this.counterComponents.forEach(comp => {
+        comp.sendMessage({ fromUser: this.userID, action: 'trigger', actionID: msg.actionID, eventID: msg.eventID, instanceID: msg.instanceID, startAt: msg.startAt, isAdmin: msg.isAdmin }, true)
+      })
+      this.triggerComponents.forEach(comp => {
+        comp.sendMessage({ fromUser: this.userID, action: 'trigger', actionID: msg.actionID, eventID: msg.eventID, objectID: msg.objectID, randomDraw: msg.randomDraw, isAdmin: msg.isAdmin }, true)
+      })
+    }
+    // Pass relay sound messages to secondary audio output components.
+    this.secondaryComponents.forEach(comp => {
+      comp.sendMessage(msg, true)
+    })
+  }
+
+  /**
+   * Claims the next occurrence of a proximity trigger. Every client whose condition is met sends a claim; claims
+   * for the same trigger collected during CLAIM_WINDOW (measured on each client's own clock) form one round, and
+   * only the claimant with the lowest instanceID fires. A client that already fired for the ongoing occurrence
+   * answers with a held claim, which cancels the round. Timed inputs pass an eventID derived from the
+   * occurrence, so that even separate rounds (e.g. from drifting clocks) are de-duplicated by the receivers.
+   *
+   * Zone exits and dwells are claimed separately by kind ('exit', 'dwell'), so an exit only fires when no
+   * client still counts the zone as occupied. Receivers claim their Auto-Revert resets as kind 'revert'.
+   */
+  claimTrigger(comp, eventID, kind = 'trigger') {
+    const claim = this.openClaim(comp.objectID, kind)
+    claim.claimants.push(this.instanceID)
+    claim.eventID = eventID
+    this.messages.send({ action: 'triggerClaim', objectID: comp.objectID, kind: kind, instanceID: this.instanceID }, false)
+  }
+
+  openClaim(objectID, kind) {
+    const key = objectID + ':' + kind
+    if (!this.triggerClaims[key]) {
+      this.triggerClaims[key] = {
+        claimants: [],
+        held: false,
+        timer: setTimeout(() => this.resolveClaim(objectID, kind), CLAIM_WINDOW)
       }
     }
+    return this.triggerClaims[key]
   }
 
-  async handleTransitionMapping() {
-    if (!this.mappingArray || this.mappingArray.length === 0) {
-      this.processingTransition = false
+  handleClaim(msg) {
+    const kind = msg.kind || 'trigger'
+    const key = msg.objectID + ':' + kind
+    if (msg.held) {
+      if (this.triggerClaims[key]) this.triggerClaims[key].held = true
       return
     }
-    let duration
-    let mapping = this.mappingArray.find(m => m.from === this.currentState)
-    if (mapping) {
-      duration = await this.getAnimationDuration(mapping.forward)
-      await this.plugin.objects.update(this.objectID, { animation: [{ name: mapping.forward }], dateModified: Date.now() }, false)
-      if (mapping.soundForward && mapping.soundForward.trim().length > 0) {
-        if (!this.disableLocalAudio) {
-          await this.playSoundWithFile(duration, mapping.soundForward)
-        } else {
-          this.plugin.messages.send({
-            action: 'relaySound',
-            sourceID: this.objectID,
-            soundFile: mapping.soundForward,
-            volume: parseFloat(this.getField('volume')) || 1,
-            duration: duration
-          }, false)
-        }
-      } else {
-        if (!this.disableLocalAudio) {
-          this.playSound(duration)
-        } else {
-          this.plugin.messages.send({
-            action: 'relaySound',
-            sourceID: this.objectID,
-            soundFile: this.getField('sound'),
-            volume: parseFloat(this.getField('volume')) || 1,
-            duration: duration
-          }, false)
-        }
-      }
-      setTimeout(() => {
-        this.plugin.objects.update(this.objectID, {
-          animation: [{ name: mapping.to }],
-          currentState: mapping.to,
-          dateModified: Date.now()
-        }, false)
-        this.currentState = mapping.to
-        this.processingTransition = false
-      }, duration)
+    const holder = kind !== 'revert' && !this.triggerClaims[key] && this.triggerComponents.find(comp => comp.objectID === msg.objectID && comp.holdsClaim(kind))
+    if (holder) {
+      this.messages.send({ action: 'triggerClaim', objectID: msg.objectID, kind: kind, instanceID: this.instanceID, held: true }, false)
       return
     }
-    mapping = this.mappingArray.find(m => m.to === this.currentState)
-    if (mapping) {
-      duration = await this.getAnimationDuration(mapping.return)
-      await this.plugin.objects.update(this.objectID, { animation: [{ name: mapping.return }], dateModified: Date.now() }, false)
-      if (mapping.soundReturn && mapping.soundReturn.trim().length > 0) {
-        if (!this.disableLocalAudio) {
-          await this.playSoundWithFile(duration, mapping.soundReturn)
-        } else {
-          this.plugin.messages.send({
-            action: 'relaySound',
-            sourceID: this.objectID,
-            soundFile: mapping.soundReturn,
-            volume: parseFloat(this.getField('volume')) || 1,
-            duration: duration
-          }, false)
-        }
-      } else {
-        if (!this.disableLocalAudio) {
-          this.playSound(duration)
-        } else {
-          this.plugin.messages.send({
-            action: 'relaySound',
-            sourceID: this.objectID,
-            soundFile: this.getField('sound'),
-            volume: parseFloat(this.getField('volume')) || 1,
-            duration: duration
-          }, false)
-        }
-      }
-      setTimeout(() => {
-        this.plugin.objects.update(this.objectID, {
-          animation: [{ name: mapping.from }],
-          currentState: mapping.from,
-          dateModified: Date.now()
-        }, false)
-        this.currentState = mapping.from
-        this.processingTransition = false
-      }, duration)
+    this.openClaim(msg.objectID, kind).claimants.push(msg.instanceID)
+  }
+
+  resolveClaim(objectID, kind) {
+    const key = objectID + ':' + kind
+    const claim = this.triggerClaims[key]
+    delete this.triggerClaims[key]
+    if (!claim || claim.held || !claim.claimants.includes(this.instanceID)) return
+    const winner = claim.claimants.slice().sort()[0]
+    if (winner !== this.instanceID) return
+    if (kind === 'revert') {
+      this.receiverComponents.filter(comp => comp.objectID === objectID).forEach(comp => comp.sendRevert(claim.eventID))
       return
     }
-    this.processingTransition = false
+    this.triggerComponents
+      .filter(comp => comp.objectID === objectID)
+      .forEach(comp => comp.fireClaim(kind, claim.eventID))
   }
 
-  async playSound(duration) {
-    const soundFile = this.getField('sound')
-    const volume = parseFloat(this.getField('volume')) || 1
-    if (soundFile && soundFile.trim().length > 0) {
-      this.audioID = await this.plugin.audio.play(
-        this.plugin.paths.absolute(soundFile),
-        { volume: volume, x: this.fields.x, y: this.fields.y, height: this.fields.height }
-      )
-      this.plugin.messages.send({
-        action: 'relaySound',
-        sourceID: this.objectID,
-        soundFile: soundFile,
-        volume: volume,
-        duration: duration
-      }, false)
-      setTimeout(() => {
-        this.plugin.audio.stop(this.audioID)
-      }, duration)
+  scheduleTick(delay) {
+    this.tickTimer = setTimeout(async () => {
+      let next = TICK_FAR
+      try {
+        next = await this.tick()
+      } catch (e) { }
+      this.scheduleTick(next)
+    }, delay)
+  }
+
+  /**
+   * Runs one scheduler tick and returns the delay until the next one: the zones are checked, and while any
+   * trigger has a Hover input, so is what the user looks at.
+   */
+  async tick() {
+    const delay = await this.checkZones()
+    if (!this.triggerComponents.some(comp => comp.isInputActive('hover'))) return delay
+    await this.checkGaze()
+    return Math.min(delay, TICK_ACTIVE)
+  }
+
+  /**
+   * Checks the proximity zones and returns the delay until the next check. The user position is fetched once
+   * and fanned out to the proximity triggers whose zone shares the user's bucket, plus any trigger whose zone
+   * is still occupied so it can notice the exit. The rate drops when the user stands still or no zone is nearby.
+   */
+  async checkZones() {
+    if (!this.zoneBuckets || Date.now() - this.zoneBucketsBuilt > ZONE_REBUILD_INTERVAL) {
+      this.buildZoneBuckets()
     }
+    if (this.zoneBuckets.size === 0 && !this.triggerComponents.some(comp => (comp.triggered || comp.presenceInside) && comp.isProximityInput())) {
+      return TICK_FAR
+    }
+    const position = await this.user.getPosition()
+    const now = Date.now()
+    if (!this.lastPosition || Math.abs(position.x - this.lastPosition.x) + Math.abs(position.y - this.lastPosition.y) + Math.abs(position.z - this.lastPosition.z) > 0.05) {
+      this.lastPosition = { x: position.x, y: position.y, z: position.z }
+      this.lastMoveTime = now
+    }
+    const nearby = this.zoneBuckets.get(getBucketKey(position.x, position.y)) || []
+    const candidates = this.triggerComponents.filter(comp => comp.isProximityInput() && (comp.triggered || comp.presenceInside || nearby.includes(comp)))
+    for (const comp of candidates) {
+      await comp.checkProximity(position)
+    }
+    if (candidates.length === 0) return TICK_FAR
+    return now - this.lastMoveTime > IDLE_AFTER ? TICK_IDLE : TICK_ACTIVE
   }
 
-  async playSoundWithFile(duration, soundFile) {
-    const volume = parseFloat(this.getField('volume')) || 1
-    if (soundFile && soundFile.trim().length > 0) {
-      this.audioID = await this.plugin.audio.play(
-        this.plugin.paths.absolute(soundFile),
-        { volume: volume, x: this.fields.x, y: this.fields.y, height: this.fields.height }
-      )
-      setTimeout(() => {
-        this.plugin.audio.stop(this.audioID)
-      }, duration)
+  /**
+   * Finds the object in the center of the user's view (where a VR user's gaze points) and tells the Hover
+   * inputs how long the user has been looking at their object. The host does not report the mouse pointer
+   * resting on an object, so the view's center stands in for it.
+   */
+  async checkGaze() {
+    const hits = this.world && this.world.raycast ? await this.world.raycast({ screenPosition: { x: 0.5, y: 0.5 } }) : []
+    const hit = (hits || []).find(h => h.mapItem && !h.mapItem.isAvatar)
+    const objectID = hit ? hit.mapItem.id : ''
+    const now = Date.now()
+    if (objectID !== this.gazeTarget) {
+      this.gazeTarget = objectID
+      this.gazeStart = now
     }
+    this.triggerComponents
+      .filter(comp => comp.isInputActive('hover'))
+      .forEach(comp => comp.checkHover(comp.objectID === objectID ? now - this.gazeStart : -1))
   }
-}
 
-/**
+  /**
+   * Records whether a user is inside a Multi-Proximity zone. The host only reports the local user's position,
+   * so each client reports its own user; entries that are not repeated in time are dropped.
+   */
+  setZonePresence(objectID, userID, inside) {
+    if (!objectID || !userID) return
+    const users = this.zonePresence[objectID] || (this.zonePresence[objectID] = new Map())
+    if (inside) users.set(userID, Date.now())
+    else users.delete(userID)
+  }
+
+  /** Returns how many users are inside a Multi-Proximity zone, as reported by their clients. */
+  countZonePresence(objectID) {
+    const users = this.zonePresence[objectID]
+    if (!users) return 0
+    const now = Date.now()
+    for (const [userID, time] of users) {
+      if (now - time > ZONE_PRESENCE_TIMEOUT) users.delete(userID)
+    }
+    return users.size
+  }
+
+  /** Marks the zone buckets for rebuilding, e.g. after a trigger's settings or position changed. */
+  invalidateZones() {
+    this.zoneBuckets = null
+  }
+
+  /** Buckets proximity triggers by the ground-plane grid cells their zone overlaps. */
+  buildZoneBuckets() {
+    this.zoneBuckets = new Map()
+    this.zoneBucketsBuilt = Date.now()
+    this.triggerComponents.filter(comp => comp.isProximityInput()).forEach(comp => {
+      const zone = comp.getZone()
+      const reach = zone.shape === 'box' ? Math.max(zone.size[0], zone.size[1]) / 2 : zone.radius
+      const minX = Math.floor((zone.center.x - reach) / ZONE_BUCKET_SIZE)
+      const maxX = Math.floor((zone.center.x + reach) / ZONE_BUCKET_SIZE)
+      const minY = Math.floor((zone.center.y - reach) / ZONE_BUCKET_SIZE)
+      const maxY = Math.floor((zone.center.y + reach) / ZONE_BUCKET_SIZE)
+      for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) {
+          const key = x + ',' + y
+          if (!this.zoneBuckets.has(key)) this.zoneBuckets.set(key, [])
+          this.zoneBuckets.get(key).push(comp)
+        }
+      }
+    })
+  }
+
+  /**
+   * Asks peers for the current receiver states (late-joiner synchronization). Calls made in quick succession
+   * are batched into one request. One peer answers after a short random delay, the others stay quiet once
+   * they see an answer, and every client applies the snapshot, so the same version comparison also settles
+   * disagreements between clients that are already connected.
+   */
+  requestSync() {
+    if (this.syncRequestTimer) return
+    this.syncRequestTimer = setTimeout(() => {
+      this.syncRequestTimer = null
+      this.messages.send({
+        action: 'syncRequest',
+        requestID: Math.random().toString(36).substring(2),
+        instanceID: this.instanceID
+      }, false)
+    }, 500)
+  }
+
+  answerSync(msg) {
+    if (msg.instanceID === this.instanceID || this.receiverComponents.length === 0) return
+    setTimeout(() => {
+      if (!markEventSeen(this.answeredSyncRequests, msg.requestID)) return
+      this.messages.send({
+        action: 'syncSnapshot',
+        requestID: msg.requestID,
+        instanceID: this.instanceID,
+        receivers: this.receiverComponents.map(comp => comp.getSnapshot())
+      }, false)
+    }, Math.random() * 300)
+  }
+
+  applySync(msg) {
+    markEventSeen(this.answeredSyncRequests, msg.requestID)
+    const receivedAt = Date.now()
+    const receivers = msg.receivers || []
+    receivers.forEach(snapshot => {
+      // Keep the snapshot for receivers that have not loaded yet.
+      this.syncSnapshots[snapshot.objectID] = { ...snapshot, receivedAt }
+      this.receiverComponents
+        .filter(comp => comp.objectID === snapshot.objectID)
+        .forEach(comp => comp.applySnapshot(snapshot))
+    })
+  }
+
+  /**
+   * Checks every trigger, receiver and secondary output for misconfigurations. Returns a list of
+   * { level: 'error' | 'warning', objectID, component, message, fix } issues.
+   */
+  async validateLinks() {
+    const links = { sent: this.getSentActionIDs(), isHeard: actionID => this.isActionIDHeard(actionID) }
+    const issues = []
+    for (const comp of [...this.triggerComponents, ...this.receiverComponents, ...this.secondaryComponents, ...this.counterComponents, ...this.accessComponents]) {
+      issues.push(...await comp.validate(links))
+    }
+    return issues
+  }
+
+  /** Returns every ActionID that a trigger, logic gate, sequencer step or counter can send. */
+  getSentActionIDs() {
+    const sent = new Set()
+    this.triggerComponents.forEach(comp => comp.getOutputActionIDs().forEach(id => sent.add(id)))
+    this.logicComponents.forEach(comp => sent.add(comp.getField('outputActionID')))
+    this.sequencerComponents.forEach(comp => (comp.steps || []).forEach(step => sent.add(step.actionID)))
+    this.counterComponents.forEach(comp => comp.getOutputActionIDs().forEach(id => sent.add(id)))
+    sent.delete(undefined)
+    sent.delete('')
+    return sent
+  }
+
+  /** Returns true if a receiver, logic gate, sequencer, counter or After Delay trigger acts on the ActionID. */
+  isActionIDHeard(actionID) {
+    return this.receiverComponents.some(comp => comp.listensTo(actionID))
+      || this.logicComponents.some(comp => (comp.inputs || []).concat(comp.inhibits || []).includes(actionID) || comp.getField('resetActionID') === actionID)
+      || this.sequencerComponents.some(comp => ['actionID', 'stopActionID', 'pauseActionID', 'restartActionID'].some(id => comp.getField(id) === actionID))
+      || this.triggerComponents.some(comp => comp.getField('delayAfterActionID') === actionID)
+      || this.counterComponents.some(comp => comp.getInputActionIDs().includes(actionID))
+  }
+
+  /** Validates the links and shows the issues, each with a hint on how to fix it. */
+  async showDiagnostics() {
+    const issues = await this.validateLinks()
+    const text = issues.length === 0 ? 'No problems found.' : issues.map(issue =>
+      (issue.level === 'error' ? 'Error' : 'Warning') + ' – ' + issue.component + ' on ' + issue.objectID + ': ' + issue.message + '\nFix: ' + issue.fix
+    ).join('\n\n')
+    const icon = issues.some(issue => issue.level === 'error') ? 'error' : issues.length > 0 ? 'warning' : 'success'
+    this.menus.alert(text, 'Asset Link Diagnostics', icon)
+  }
+
+  /**
+   * Records an entry in the event log ({ kind, component, objectID, actionID, userID, detail }) and passes it
+   * to the inspector panel while it is open. Only the latest EVENT_LOG_SIZE entries are kept.
+   */
+  logEvent(entry) {
+    const event = { time: Date.now(), kind: '', component: '', objectID: '', actionID: '', userID: '', detail: '', ...entry }
+    this.eventLog.push(event)
+    if (this.eventLog.length > EVENT_LOG_SIZE) this.eventLog.shift()
+    if (this.inspectorOpen) this.menus.postMessage({ action: 'inspectorEvent', event: event })
+  }
+
+  /** Handles a request from the inspector panel: a refresh of the graph and states, firing an ActionID, or an export or import. */
+  async handleInspector(msg) {
+    if (!await this.user.isAdmin()) return
+    if (msg.action === 'inspectorRefresh') {
+      this.inspectorOpen = true
+      this.menus.postMessage({
+        action: 'inspectorState',
+        graph: this.getLinkGraph(),
+        receivers: this.receiverComponents.map(comp => comp.getInspectorState()),
+        counters: this.counterComponents.map(comp => ({ objectID: comp.objectID, name: comp.getField('variableName') || 'count', value: comp.value })),
+        log: msg.initial ? this.eventLog : undefined
+      })
+    } else if (msg.action === 'inspectorClose') {
+      this.inspectorOpen = false
+    } else if (msg.action === 'inspectorFire' && msg.actionID) {
+      await this.fire(msg.actionID, { command: msg.command, objectID: 'inspector' })
+    } else if (msg.action === 'inspectorExport') {
+      this.menus.postMessage({ action: 'inspectorExported', json: JSON.stringify(await this.exportLinks(), null, 2) })
+    } else if (msg.action === 'inspectorImport') {
+      let result
+      try {
+        const error = getJSONError(msg.json) || getJSONError(msg.objectMap)
+        if (error) throw new Error(error)
+        const summary = await this.importLinks(JSON.parse(msg.json), parseJSONObject(msg.objectMap), msg.prefix || '')
+        result = 'Imported ' + summary.components + ' components onto ' + summary.objects + ' objects.'
+        if (summary.skipped.length > 0) result += ' Skipped missing objects: ' + summary.skipped.join(', ')
+      } catch (e) {
+        result = 'Import failed: ' + e.message
+      }
+      this.menus.postMessage({ action: 'inspectorImported', result: result })
+    }
+  }
+
+  /**
+   * Returns every ActionID in use with the components that send it (triggers, logic gates, sequencers, counters)
+   * and act on it (receivers, logic gates, sequencers, counters), and the secondary outputs relaying its receivers.
+   */
+  getLinkGraph() {
+    const ids = new Set(this.getSentActionIDs())
+    this.receiverComponents.forEach(comp => {
+      ids.add(comp.getField('actionID'))
+      if (comp.isMappingMode() && comp.stateMachine) comp.stateMachine.keys.forEach(key => ids.add(key))
+    })
+    this.logicComponents.forEach(comp => (comp.inputs || []).concat(comp.inhibits || [], comp.getField('resetActionID')).forEach(id => ids.add(id)))
+    this.sequencerComponents.forEach(comp => ['actionID', 'stopActionID', 'pauseActionID', 'restartActionID'].forEach(id => ids.add(comp.getField(id))))
+    this.counterComponents.forEach(comp => comp.getInputActionIDs().forEach(id => ids.add(id)))
+    ids.delete(undefined)
+    ids.delete('')
+    return [...ids].sort().map(actionID => {
+      const receivers = this.receiverComponents.filter(comp => comp.listensTo(actionID)).map(comp => comp.objectID)
+      return {
+        actionID: actionID,
+        triggers: this.triggerComponents.filter(comp => comp.getOutputActionIDs().includes(actionID)).map(comp => comp.objectID),
+        logic: this.logicComponents.filter(comp => comp.getField('outputActionID') === actionID || (comp.inputs || []).includes(actionID)).map(comp => comp.objectID),
+        sequencers: this.sequencerComponents.filter(comp => comp.getField('actionID') === actionID || (comp.steps || []).some(step => step.actionID === actionID)).map(comp => comp.objectID),
+        counters: this.counterComponents.filter(comp => comp.getInputActionIDs().concat(comp.getOutputActionIDs()).includes(actionID)).map(comp => comp.objectID),
+        receivers: receivers,
+        secondaries: this.secondaryComponents.filter(comp => comp.sourceActionIDs.includes(actionID) || comp.sourceIDs.some(id => receivers.includes(id))).map(comp => comp.objectID)
+      }
+    })
+  }
+
+  /**
+   * Exports the settings of every Asset Link component in the space, with the persisted state of their
+   * objects, as a versioned document: { format, version, objects: [{ objectID, components: [{ component,
+   * settings }], state }] }.
+   */
+  async exportLinks() {
+    const objects = {}
+    const all = [...this.triggerComponents, ...this.receiverComponents, ...this.secondaryComponents, ...this.logicComponents, ...this.sequencerComponents, ...this.counterComponents, ...this.accessComponents]
+    for (const comp of all) {
+      const id = Object.keys(this.componentDefinitions).find(key => comp instanceof this.componentDefinitions[key].cls)
+      const settings = {}
+      this.componentDefinitions[id].definition.settings.filter(setting => setting.type !== 'label').forEach(setting => {
+        const value = comp.getField(setting.id)
+        if (typeof value !== 'undefined') settings[setting.id] = value
+      })
+      if (!objects[comp.objectID]) {
+        const props = (await this.objects.get(comp.objectID)) || {}
+        const state = {}
+        STATE_PROPERTIES.filter(key => typeof props[key] !== 'undefined').forEach(key => state[key] = props[key])
+        objects[comp.objectID] = { objectID: comp.objectID, components: [], state: state }
+      }
+      objects[comp.objectID].components.push({ component: id, settings: settings })
+    }
+    return { format: 'asset-link', version: EXPORT_VERSION, exportedAt: new Date().toISOString(), objects: Object.values(objects) }
+  }
+
+  /**
+   * Imports an exported document onto the objects of this space. objectMap maps exported object IDs to target
+   * object IDs (unmapped objects keep their ID), and every ActionID is prefixed with the given prefix so that
+   * several copies of the same setup do not trigger each other. Object references (secondary output sources,
+   * guards and property effect targets) are remapped too. Returns the number of objects and components
+   * written and the exported objects that were skipped because their target does not exist.
+   */
+  async importLinks(doc, objectMap = {}, prefix = '') {
+    if (!doc || doc.format !== 'asset-link' || !Array.isArray(doc.objects)) throw new Error('This is not an Asset Link export.')
+    if (doc.version > EXPORT_VERSION) throw new Error('The export is from a newer version (' + doc.version + ') of the plugin.')
+    const mapObject = id => objectMap[id] || id
+    const actionIDs = new Set()
+    doc.objects.forEach(object => object.components.forEach(entry => getComponentActionIDs(entry.component, entry.settings).forEach(id => actionIDs.add(id))))
+    const mapActionID = id => prefix && id !== '*' && actionIDs.has(id) ? prefix + id : id
+    const result = { objects: 0, components: 0, skipped: [] }
+    for (const object of doc.objects) {
+      const targetID = mapObject(object.objectID)
+      const target = await this.objects.get(targetID)
+      if (!target) {
+        result.skipped.push(object.objectID)
+        continue
+      }
+      const props = { ...object.state }
+      const components = Array.isArray(target.components) ? target.components.slice() : []
+      for (const entry of object.components) {
+        if (!this.componentDefinitions[entry.component]) continue
+        const settings = remapComponentSettings(entry.component, entry.settings, mapObject, mapActionID)
+        Object.keys(settings).forEach(key => props[getSettingKey(entry.component, key)] = settings[key])
+        const componentID = AssetLink.id + ':' + entry.component
+        if (!components.some(c => c && c.id === componentID)) components.push({ id: componentID })
+        result.components++
+      }
+      props.components = components
+      await this.objects.update(targetID, { ...props, dateModified: Date.now() }, false)
+      result.objects++
+    }
+    this.logEvent({ kind: 'import', component: 'Plugin', detail: result.objects + ' objects, ' + result.components + ' components' + (prefix ? ', prefix "' + prefix + '"' : '') })
+    return result
+  }
+}
+
+/** Version of the document written by exportLinks. importLinks accepts this and older versions. */
+const EXPORT_VERSION = 1
+
+/** Object properties holding component state, exported along with the settings. */
+const STATE_PROPERTIES = ['currentState', 'currentDirection', 'logicLatched', 'logicSequenceIndex', 'counterValue']
+
+/** Settings that hold an ActionID or a comma-separated list of them, per component. */
+const ACTION_ID_SETTINGS = {
+  'asset-link-trigger': ['actionID', 'randomActionIDs', 'exitActionID', 'dwellActionID', 'delayAfterActionID', 'clickActionID', 'doubleClickActionID', 'holdActionID', 'hoverActionID', 'keyActionID'],
+  'asset-link-receiver': ['actionID'],
+  'asset-link-secondary': ['sourceActionIDs'],
+  'asset-link-logic': ['inputActionIDs', 'inhibitActionIDs', 'outputActionID', 'resetActionID'],
+  'asset-link-sequencer': ['actionID', 'stopActionID', 'pauseActionID', 'restartActionID'],
+  'asset-link-counter': ['incrementActionIDs', 'decrementActionIDs', 'setActionID', 'resetActionID', 'stateActionID'],
+  'asset-link-access': ['actionIDs']
+}
+
+/** Returns the object property under which Spaces stores a setting of one of this plugin's components. */
+function getSettingKey(componentID, settingID) {
+  return 'component:' + AssetLink.id + ':' + componentID + ':' + settingID
+}
+
+/** Returns the ActionIDs a component's settings send or listen for, including sequencer steps and counter thresholds. */
+function getComponentActionIDs(componentID, settings) {
+  const ids = []
+  for (const key of ACTION_ID_SETTINGS[componentID] || []) ids.push(...parseList(settings[key]))
+  const list = componentID === 'asset-link-sequencer' ? settings.timeline : componentID === 'asset-link-counter' ? settings.thresholds : null
+  parseJSONArray(list).forEach(item => item && item.actionID && ids.push(item.actionID))
+  return ids
+}
+
+/**
+ * Returns a copy of a component's settings with its ActionIDs and object references mapped. Mapping keys in
+ * Transition Mapping are mapped as ActionIDs (mapActionID leaves event names alone).
+ */
+function remapComponentSettings(componentID, settings, mapObject, mapActionID) {
+  const result = { ...settings }
+  const mapList = value => parseList(value).map(mapActionID).join(', ')
+  const mapTarget = item => item && item.object ? { ...item, object: mapObject(item.object) } : item
+  for (const key of ACTION_ID_SETTINGS[componentID] || []) {
+    if (typeof result[key] === 'string' && result[key]) result[key] = mapList(result[key])
+  }
+  if (componentID === 'asset-link-secondary' && result.sourceID) {
+    result.sourceID = parseList(result.sourceID).map(mapObject).join(', ')
+  }
+  for (const key of componentID === 'asset-link-sequencer' ? ['timeline'] : componentID === 'asset-link-counter' ? ['thresholds'] : []) {
+    if (!result[key]) continue
+    result[key] = JSON.stringify(parseJSONArray(result[key]).map(item => item && item.actionID ? { ...item, actionID: mapActionID(item.actionID) } : item))
+  }
+  if (componentID === 'asset-link-receiver') {
+    const mapping = parseJSONObject(result.transitionMapping)
+    if (mapping.states) {
+      Object.values(mapping.states).forEach(state => {
+        if (!state || !state.on) return
+        const on = {}
+        Object.keys(state.on).forEach(key => {
+          const list = [].concat(state.on[key]).map(t => {
+            if (!t || typeof t !== 'object') return t
+            const mapped = { ...t }
+            if (t.guard) mapped.guard = Array.isArray(t.guard) ? t.guard.map(mapTarget) : mapTarget(t.guard)
+            if (t.effects) mapped.effects = [].concat(t.effects).map(mapTarget)
+            return mapped
+          })
+          on[key === '*' ? key : mapActionID(key)] = Array.isArray(state.on[key]) ? list : list[0]
+        })
+        state.on = on
+      })
+      result.transitionMapping = JSON.stringify(mapping)
+    }
+    const effects = parseJSONObject(result.propertyEffects)
+    if (Object.keys(effects).length > 0) {
+      Object.keys(effects).forEach(name => {
+        effects[name] = [].concat(effects[name]).map(mapTarget)
+      })
+      result.propertyEffects = JSON.stringify(effects)
+    }
+  }
+  return result
+}
+
+/** Prefix of the hooks other plugins use to reach Asset Link, e.g. "assetlink.fire". */
+const HOOK_PREFIX = 'assetlink.'
+
+/** Number of recent change eventIDs a counter saves with its value. */
+const COUNTER_EVENTS = 20
+
+/** How long (in milliseconds) a counter waits before comparing a saved value that differs from its own. */
+const COUNTER_SYNC_DELAY = 500
+
+/** Number of entries the event log keeps for the inspector. */
+const EVENT_LOG_SIZE = 300
+
+/** How long (in milliseconds) proximity trigger claims are collected before a winner is picked. */
+const CLAIM_WINDOW = 300
+
+/** How far ahead (in milliseconds) of the shared time a trigger schedules its start, to cover network latency. */
+const START_LEAD = 200
+
+/** Clock pings sent one second apart after loading, and the interval (in milliseconds) between later ones. */
+const CLOCK_STARTUP_PINGS = 3
+const CLOCK_SYNC_INTERVAL = 30000
+
+/** A peer that has not pinged for this long (in milliseconds) no longer counts when picking the clock reference. */
+const CLOCK_PEER_TIMEOUT = 3 * CLOCK_SYNC_INTERVAL
+
+/** Number of recent clock answers the offset is picked from. */
+const CLOCK_SAMPLES = 5
+
+/** How often (in milliseconds) the progress of a Hold input is reported. */
+const HOLD_PROGRESS_STEP = 250
+
+/**
+ * A held key counts as let go when it has not repeated for this long (in milliseconds): before its first repeat,
+ * as keyboards wait about half a second to start, and between repeats.
+ */
+const HOLD_RELEASE_GAP = 750
+const HOLD_REPEAT_GAP = 200
+
+/** Trigger inputs driven by the user's pointer, view or keyboard, with the setting holding each one's alternate ActionID. */
+const INPUT_ACTION_IDS = {
+  'on-click': 'clickActionID',
+  'double-click': 'doubleClickActionID',
+  'hold': 'holdActionID',
+  'hover': 'hoverActionID',
+  'key press': 'keyActionID'
+}
+
+/** Scheduler tick delays (in milliseconds): moving near a zone, standing still near a zone, and no zone nearby. */
+const TICK_ACTIVE = 100
+const TICK_IDLE = 500
+const TICK_FAR = 1000
+
+/** The user counts as idle after not moving for this long (in milliseconds). */
+const IDLE_AFTER = 3000
+
+/** Size (in meters) of the ground-plane grid cells used to bucket proximity zones. */
+const ZONE_BUCKET_SIZE = 20
+
+/** Zone buckets are rebuilt at least this often (in milliseconds) to pick up objects that moved. */
+const ZONE_REBUILD_INTERVAL = 5000
+
+/** How often (in milliseconds) a client repeats that its user is in a Multi-Proximity zone, and when others forget it. */
+const ZONE_PRESENCE_REFRESH = 5000
+const ZONE_PRESENCE_TIMEOUT = 3 * ZONE_PRESENCE_REFRESH
+
+function getBucketKey(x, y) {
+  return Math.floor(x / ZONE_BUCKET_SIZE) + ',' + Math.floor(y / ZONE_BUCKET_SIZE)
+}
+
+/** Creates an ID that is unique to one trigger occurrence. */
+function createEventID(instanceID) {
+  return instanceID + '-' + Date.now().toString(36) + '-' + Math.random().toString(36).substring(2, 8)
+}
+
+/**
+ * Records an event ID and returns false if it was seen before. Messages without an eventID always pass.
+ * Entries are kept for a minute, which is far longer than any message takes to arrive.
+ */
+function markEventSeen(seen, eventID) {
+  if (!eventID) return true
+  if (seen.has(eventID)) return false
+  const now = Date.now()
+  seen.set(eventID, now)
+  for (const [id, time] of seen) {
+    if (now - time < 60000) break
+    seen.delete(id)
+  }
+  return true
+}
+
+/**
+ * Parses a trigger command such as "goto:open", "next", "previous", "reset", "toggle" or "play:wave"
+ * into { name, arg }. Returns null when there is no command.
+ */
+function parseCommand(str) {
+  const text = String(str || '').trim()
+  if (!text) return null
+  const index = text.indexOf(':')
+  if (index < 0) return { name: text.toLowerCase(), arg: '' }
+  return { name: text.substring(0, index).trim().toLowerCase(), arg: text.substring(index + 1).trim() }
+}
+
+/**
+ * Returns a key name in lower case from a key setting or a key event ({ key, code }). Key codes such as
+ * "KeyE" and "Digit1" are reduced to "e" and "1", so that either form matches the setting.
+ */
+function normalizeKey(value) {
+  const key = typeof value === 'object' && value ? value.key || value.code : value
+  const text = String(key || '').trim()
+  const match = /^(?:Key|Digit)(\w)$/.exec(text)
+  return (match ? match[1] : text).toLowerCase()
+}
+
+/** Parses a setting such as "1, 0, 2.5" into a list of numbers, using the defaults for missing values. */
+function parseNumbers(str, defaults) {
+  const values = String(str || '').split(',').map(s => parseFloat(s))
+  return defaults.map((value, i) => isNaN(values[i]) ? value : values[i])
+}
+
+/**
+ * Returns true if a point lies inside a zone. Positions are { x, y, z } with x and y on the ground plane
+ * and z the height. Sphere and Cylinder zones use the radius; Box zones use size [width, depth, height];
+ * Cylinder zones use heightRange [bottom, top] relative to the center.
+ */
+function isInsideZone(zone, point) {
+  const dx = point.x - zone.center.x
+  const dy = point.y - zone.center.y
+  const dz = point.z - zone.center.z
+  if (zone.shape === 'box') {
+    return Math.abs(dx) <= zone.size[0] / 2 && Math.abs(dy) <= zone.size[1] / 2 && Math.abs(dz) <= zone.size[2] / 2
+  }
+  if (zone.shape === 'cylinder') {
+    return dx * dx + dy * dy <= zone.radius * zone.radius && dz >= zone.heightRange[0] && dz <= zone.heightRange[1]
+  }
+  return dx * dx + dy * dy + dz * dz <= zone.radius * zone.radius
+}
+
+/**
+ * Parses a five-field cron expression (minute hour day month weekday) into lists of allowed values.
+ * Supports *, numbers, ranges (1-5), lists (1,15) and steps (0-30/5, or a * with /15). Returns null if invalid.
+ */
+function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/)
+  if (parts.length !== 5) return null
+  const limits = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]]
+  const fields = parts.map((part, i) => parseCronField(part, limits[i][0], limits[i][1]))
+  if (fields.includes(null)) return null
+  // As in standard cron, a day of month and a weekday that are both restricted (neither starts with *) match either.
+  fields.eitherDay = !parts[2].startsWith('*') && !parts[4].startsWith('*')
+  return fields
+}
+
+function parseCronField(field, min, max) {
+  const values = []
+  for (const item of field.split(',')) {
+    const [range, stepStr] = item.split('/')
+    const step = typeof stepStr === 'undefined' ? 1 : parseInt(stepStr)
+    let start, end
+    if (range === '*') {
+      start = min
+      end = max
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(n => parseInt(n))
+    } else {
+      start = parseInt(range)
+      end = typeof stepStr === 'undefined' ? start : max
+    }
+    if ([start, end, step].some(isNaN) || step < 1 || start < min || end > max || start > end) return null
+    for (let value = start; value <= end; value += step) values.push(value)
+  }
+  return values
+}
+
+/** Returns true if the UTC minute of the given date matches a parsed cron expression. Weekday 7 is Sunday too. */
+function cronMatches(cron, date) {
+  const weekday = date.getUTCDay()
+  const dayMatches = cron[2].includes(date.getUTCDate())
+  const weekdayMatches = cron[4].includes(weekday) || (weekday === 0 && cron[4].includes(7))
+  return cron[0].includes(date.getUTCMinutes())
+    && cron[1].includes(date.getUTCHours())
+    && cron[3].includes(date.getUTCMonth() + 1)
+    && (cron.eitherDay ? dayMatches || weekdayMatches : dayMatches && weekdayMatches)
+}
+
+/** Splits a comma-separated setting into a list of trimmed, non-empty names. */
+function parseList(str) {
+  return String(str || '').split(',').map(s => s.trim()).filter(s => s.length > 0)
+}
+
+/** Returns a promise that resolves after the given number of milliseconds. */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Parses the Transition Mapping setting into a state machine of the form
+ * { initial, states: { name: { animation, onEnter, onExit, transitions: [{ on, to, choices, weights, animation, sound, effects, guard }] } }, keys }.
+ * A transition with a list of targets keeps them as choices (to is the first one) with their weights.
+ *
+ * A legacy array of { from, to, forward, return, soundForward, soundReturn } mappings is converted so that it
+ * behaves as before: from each state the first forward mapping wins, otherwise the first return mapping applies.
+ */
+function parseStateMachine(json, fallbackInitial) {
+  let data
+  try {
+    data = JSON.parse(json || '[]')
+  } catch (e) {
+    data = []
+  }
+  const machine = { initial: fallbackInitial, states: {}, keys: [] }
+  const getState = name => machine.states[name] || (machine.states[name] = { animation: name, transitions: [] })
+
+  if (Array.isArray(data)) {
+    data.filter(m => m && m.from && m.to).forEach(m => {
+      const from = getState(m.from)
+      getState(m.to)
+      if (from.transitions.length === 0) {
+        from.transitions.push({ to: m.to, animation: m.forward, sound: m.soundForward })
+      }
+    })
+    data.filter(m => m && m.from && m.to).forEach(m => {
+      const to = getState(m.to)
+      if (to.transitions.length === 0) {
+        to.transitions.push({ to: m.from, animation: m.return, sound: m.soundReturn })
+      }
+    })
+    return machine
+  }
+
+  if (!data || typeof data.states !== 'object') return machine
+  machine.initial = data.initial || fallbackInitial
+  Object.keys(data.states).forEach(name => {
+    const def = data.states[name] || {}
+    const state = getState(name)
+    state.animation = def.animation || name
+    state.onEnter = def.onEnter
+    state.onExit = def.onExit
+    Object.keys(def.on || {}).forEach(key => {
+      const list = Array.isArray(def.on[key]) ? def.on[key] : [def.on[key]]
+      list.filter(t => t && t.to).forEach(t => {
+        const targets = [].concat(t.to).filter(Boolean)
+        targets.forEach(getState)
+        state.transitions.push({ on: key, to: targets[0], choices: targets.length > 1 ? targets : undefined, weights: t.weights, animation: t.animation, sound: t.sound, effects: t.effects, guard: t.guard })
+        if (key !== '*' && !machine.keys.includes(key)) machine.keys.push(key)
+      })
+    })
+  })
+  return machine
+}
+
+/** Milliseconds between volume steps while a sound fades. */
+const FADE_STEP = 50
+
+/** Returns a non-negative integer hash of a string, so that every client derives the same pick from it. */
+function hashString(str) {
+  let hash = 0
+  for (let i = 0; i < str.length; i++) {
+    hash = (hash * 31 + str.charCodeAt(i)) | 0
+  }
+  return Math.abs(hash)
+}
+
+/** Returns a number in [0, 1) derived from a string. Strings differing in one character give unrelated numbers. */
+function hashRoll(str) {
+  let hash = hashString(str)
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b)
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35)
+  return ((hash ^ (hash >>> 16)) >>> 0) / 4294967296
+}
+
+/** Picks an entry of a list by a roll in [0, 1), in proportion to the weights. Missing or invalid weights count as 1. */
+function pickWeighted(list, weights, roll) {
+  const values = list.map((item, i) => {
+    const weight = parseFloat([].concat(weights || [])[i])
+    return isNaN(weight) ? 1 : Math.max(0, weight)
+  })
+  const total = values.reduce((sum, weight) => sum + weight, 0)
+  if (total <= 0) return list[Math.floor(roll * list.length)]
+  let remaining = roll * total
+  for (let i = 0; i < list.length; i++) {
+    remaining -= values[i]
+    if (remaining < 0) return list[i]
+  }
+  return list[list.length - 1]
+}
+
+/**
+ * Parses a sound setting into { files, volume, delay } with the delay in milliseconds. Accepts a file name,
+ * a comma-separated list of files, or an object { file | files, volume, delay } with the delay in seconds.
+ * Missing values come from the defaults ({ volume, delay }). Returns null when there is no file.
+ */
+function parseSoundSpec(value, defaults) {
+  if (!value) return null
+  const spec = typeof value === 'object' ? value : { files: value }
+  const files = [].concat(spec.files || spec.file || []).flatMap(f => parseList(f))
+  if (files.length === 0) return null
+  const volume = parseFloat(spec.volume)
+  const delay = parseFloat(spec.delay)
+  return {
+    files: files,
+    volume: isNaN(volume) ? defaults.volume : volume,
+    delay: (isNaN(delay) ? defaults.delay : delay) * 1000
+  }
+}
+
+/** Parses a JSON object setting, returning an empty object if it is missing or invalid. */
+function parseJSONObject(json) {
+  try {
+    const data = JSON.parse(json || '{}')
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {}
+  } catch (e) {
+    return {}
+  }
+}
+
+/** Milliseconds between the local frames of a property effect. */
+const TWEEN_STEP = 50
+
+/** Easing curves for property effects, mapping progress (0 to 1) to eased progress. */
+const EASINGS = {
+  'linear': t => t,
+  'ease-in': t => t * t,
+  'ease-out': t => t * (2 - t),
+  'ease-in-out': t => t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)
+}
+
+/** The object fields each axis-based property effect changes, and the value a missing field starts from. */
+const EFFECT_FIELDS = {
+  move: { fields: ['x', 'y', 'height'], base: 0 },
+  rotate: { fields: ['rotation_x', 'rotation_y', 'rotation_z'], base: 0 },
+  scale: { fields: ['scale_x', 'scale_y', 'scale_z'], base: 1 }
+}
+
+/**
+ * Resolves a property effect against the target's current properties into { from, to } field values.
+ * move and rotate take "to" or "by" (added) as [x, y, z]; scale takes "to" or "by" (multiplied) as [x, y, z]
+ * or one number for all axes; visible sets hidden; color tweens a hex color field ("color" by default);
+ * set writes { field: value } pairs from "props".
+ */
+function resolvePropertyEffect(effect, current) {
+  const from = {}
+  const to = {}
+  const axes = EFFECT_FIELDS[effect.type]
+  if (axes) {
+    const by = typeof effect.by === 'number' ? [effect.by, effect.by, effect.by] : effect.by
+    const target = typeof effect.to === 'number' ? [effect.to, effect.to, effect.to] : effect.to
+    axes.fields.forEach((field, i) => {
+      const start = typeof current[field] === 'number' ? current[field] : axes.base
+      let end
+      if (Array.isArray(target) && typeof target[i] === 'number') {
+        end = target[i]
+      } else if (Array.isArray(by) && typeof by[i] === 'number') {
+        end = effect.type === 'scale' ? start * by[i] : start + by[i]
+      }
+      if (typeof end !== 'number') return
+      from[field] = start
+      to[field] = end
+    })
+  } else if (effect.type === 'visible') {
+    to.hidden = effect.value === false
+  } else if (effect.type === 'color') {
+    const field = effect.field || 'color'
+    from[field] = current[field]
+    to[field] = effect.to
+  } else if (effect.type === 'set') {
+    Object.keys(effect.props || {}).forEach(field => {
+      from[field] = current[field]
+      to[field] = effect.props[field]
+    })
+  }
+  return { from, to }
+}
+
+/**
+ * Returns the field values at eased progress t. Numbers and #rrggbb colors are interpolated; other values
+ * switch to their target at the start.
+ */
+function interpolateProps(from, to, t) {
+  const props = {}
+  Object.keys(to).forEach(field => {
+    const a = from[field]
+    const b = to[field]
+    if (typeof a === 'number' && typeof b === 'number') {
+      props[field] = a + (b - a) * t
+    } else if (/^#[0-9a-f]{6}$/i.test(a) && /^#[0-9a-f]{6}$/i.test(b)) {
+      props[field] = '#' + [1, 3, 5].map(i => {
+        const x = parseInt(a.substr(i, 2), 16)
+        const y = parseInt(b.substr(i, 2), 16)
+        return Math.round(x + (y - x) * t).toString(16).padStart(2, '0')
+      }).join('')
+    } else {
+      props[field] = t > 0 ? b : a
+    }
+  })
+  return props
+}
+
+/** Returns the entries of an object keyed "<eventID>#<n>" that belong to the given eventID. */
+function getRunEntries(entries, eventID) {
+  const prefix = (eventID || '') + '#'
+  return Object.fromEntries(Object.entries(entries).filter(([key]) => key.startsWith(prefix)))
+}
+
+/** Returns how long (in milliseconds) a list of property effects takes, counting each effect's delay. */
+function getPropertyEffectsDuration(effects) {
+  return effects.reduce((max, e) => Math.max(max, ((parseFloat(e.delay) || 0) + (parseFloat(e.duration) || 0)) * 1000), 0)
+}
+
+/**
+ * Returns true if a counter change from previous to value meets a threshold: { equals } when the value
+ * becomes it, { atLeast } when the value rises to or past it, { modulo } when the value becomes a multiple of it.
+ */
+function crossesThreshold(threshold, previous, value) {
+  if (value === previous) return false
+  if (typeof threshold.equals === 'number') return value === threshold.equals
+  if (typeof threshold.atLeast === 'number') return previous < threshold.atLeast && value >= threshold.atLeast
+  if (typeof threshold.modulo === 'number' && threshold.modulo > 0) return value % threshold.modulo === 0
+  return false
+}
+
+/** Returns the union of two { actionID: [userID] } lists, with the user IDs of each ActionID sorted. */
+function mergeUserLists(a, b) {
+  const merged = {}
+  for (const key of Object.keys({ ...a, ...b }).sort()) {
+    merged[key] = [...new Set([].concat(a[key] || [], b[key] || []))].sort()
+  }
+  return merged
+}
+
+/** Parses a JSON array setting, returning an empty array if it is missing or invalid. */
+function parseJSONArray(json) {
+  try {
+    const data = JSON.parse(json || '[]')
+    return Array.isArray(data) ? data : []
+  } catch (e) {
+    return []
+  }
+}
+
+/** Returns the parse error of a JSON setting, or an empty string if it is empty or valid. */
+function getJSONError(json) {
+  if (!json || !String(json).trim()) return ''
+  try {
+    JSON.parse(json)
+    return ''
+  } catch (e) {
+    return e.message
+  }
+}
+
+/**
+ * Returns the page of the admin inspector panel. The page asks the plugin for the link graph and receiver
+ * states every two seconds, receives log entries as they happen, and can fire an ActionID. Its requests carry
+ * the given token so that the plugin can tell them apart from network messages.
+ */
+function createInspectorHTML(token) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<style>
+  body { font: 12px sans-serif; margin: 8px; color: #222; }
+  h3 { margin: 12px 0 4px; font-size: 13px; }
+  table { border-collapse: collapse; width: 100%; }
+  td, th { border-bottom: 1px solid #ddd; padding: 2px 4px; text-align: left; vertical-align: top; }
+  input[type=text] { width: 140px; }
+  #log { max-height: 260px; overflow-y: auto; }
+  textarea { width: 100%; height: 80px; box-sizing: border-box; font: 11px monospace; }
+  .dropped, .ignored, .error { color: #b00; }
+  .queued, .interrupted { color: #a60; }
+</style>
+</head>
+<body>
+<h3>Fire ActionID</h3>
+<input type="text" id="fireID" placeholder="ActionID"> <input type="text" id="fireCommand" placeholder="Command (optional)"> <button id="fire">Fire</button>
+<h3>Links</h3>
+<table><thead><tr><th>ActionID</th><th>Sent by</th><th>Receivers</th><th>Secondary outputs</th></tr></thead><tbody id="graph"></tbody></table>
+<h3>Receivers</h3>
+<table><thead><tr><th>Object</th><th>ActionID</th><th>State</th><th>Status</th></tr></thead><tbody id="receivers"></tbody></table>
+<h3>Counters</h3>
+<table><thead><tr><th>Object</th><th>Name</th><th>Value</th></tr></thead><tbody id="counters"></tbody></table>
+<h3>Event Log</h3>
+<input type="text" id="filter" placeholder="Filter"> <label><input type="checkbox" id="problems"> Problems only</label>
+<div id="log"><table><tbody id="events"></tbody></table></div>
+<h3>Export / Import</h3>
+<button id="export">Export</button> <button id="import">Import</button>
+<input type="text" id="prefix" placeholder="ActionID prefix (optional)"> <span id="importResult"></span>
+<textarea id="document" placeholder="Exported JSON"></textarea>
+<textarea id="objectMap" placeholder='Object mapping (optional), e.g. {"old-door-id": "new-door-id"}'></textarea>
+<script>
+  var token = ${JSON.stringify(token)}
+  var events = []
+  function send(msg) { msg.token = token; window.parent.postMessage(msg, '*') }
+  function esc(text) { return String(text == null ? '' : text).replace(/[&<>"]/g, function (c) { return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c] }) }
+  function row(cells, className) { return '<tr class="' + (className || '') + '">' + cells.map(function (c) { return '<td>' + esc(c) + '</td>' }).join('') + '</tr>' }
+  function renderEvents() {
+    var filter = document.getElementById('filter').value.toLowerCase()
+    var problems = document.getElementById('problems').checked
+    document.getElementById('events').innerHTML = events.filter(function (e) {
+      if (problems && e.kind !== 'dropped' && e.kind !== 'ignored' && e.kind !== 'error') return false
+      return !filter || [e.kind, e.component, e.objectID, e.actionID, e.userID, e.detail].join(' ').toLowerCase().indexOf(filter) >= 0
+    }).slice().reverse().map(function (e) {
+      return row([new Date(e.time).toLocaleTimeString(), e.kind, e.component + ' ' + e.objectID, e.actionID, e.userID, e.detail], e.kind)
+    }).join('')
+  }
+  window.addEventListener('message', function (event) {
+    var msg = event.data || {}
+    if (msg.action === 'inspectorState') {
+      document.getElementById('graph').innerHTML = msg.graph.map(function (link) {
+        return row([link.actionID, link.triggers.concat(link.logic, link.sequencers, link.counters).join(', '), link.receivers.join(', '), link.secondaries.join(', ')])
+      }).join('')
+      document.getElementById('receivers').innerHTML = msg.receivers.map(function (r) {
+        return row([r.objectID, r.actionID, r.state, r.status])
+      }).join('')
+      document.getElementById('counters').innerHTML = msg.counters.map(function (c) {
+        return row([c.objectID, c.name, c.value])
+      }).join('')
+      if (msg.log) {
+        events = msg.log
+        renderEvents()
+      }
+    } else if (msg.action === 'inspectorEvent') {
+      events.push(msg.event)
+      if (events.length > ${EVENT_LOG_SIZE}) events.shift()
+      renderEvents()
+    } else if (msg.action === 'inspectorExported') {
+      document.getElementById('document').value = msg.json
+    } else if (msg.action === 'inspectorImported') {
+      document.getElementById('importResult').textContent = msg.result
+    }
+  })
+  document.getElementById('filter').oninput = renderEvents
+  document.getElementById('problems').onchange = renderEvents
+  document.getElementById('fire').onclick = function () {
+    var actionID = document.getElementById('fireID').value.trim()
+    if (actionID) send({ action: 'inspectorFire', actionID: actionID, command: document.getElementById('fireCommand').value.trim() })
+  }
+  document.getElementById('export').onclick = function () { send({ action: 'inspectorExport' }) }
+  document.getElementById('import').onclick = function () {
+    send({ action: 'inspectorImport', json: document.getElementById('document').value, objectMap: document.getElementById('objectMap').value, prefix: document.getElementById('prefix').value.trim() })
+  }
+  window.addEventListener('pagehide', function () { send({ action: 'inspectorClose' }) })
+  send({ action: 'inspectorRefresh', initial: true })
+  setInterval(function () { send({ action: 'inspectorRefresh' }) }, 2000)
+</script>
+</body>
+</html>`
+}
+
+/** Returns a function that adds { level, objectID, component, message, fix } issues to the list. */
+function issueReporter(issues, objectID, component) {
+  return (level, message, fix) => issues.push({ level, objectID, component, message, fix })
+}
+
+/**
+ * Audio Player
+ *
+ * Plays sounds at a component's position, grouped into channels so that a state's ambient loop can be
+ * crossfaded independently of transition sounds. Fades step the volume with audio.setVolume; on hosts
+ * without it, sounds start and stop at their full volume.
+ */
+class AudioPlayer {
+  constructor(plugin, component) {
+    this.plugin = plugin
+    this.component = component
+    this.voices = []
+  }
+
+  canFade() {
+    return typeof this.plugin.audio.setVolume === 'function'
+  }
+
+  /**
+   * Plays { file, volume, delay, duration, fadeIn, fadeOut, loop, channel } with times in milliseconds. A
+   * duration of 0 plays until the channel is stopped; otherwise the fade-out ends when the duration is up.
+   */
+  play(options) {
+    const voice = {
+      channel: options.channel || 'oneshot',
+      volume: typeof options.volume === 'number' ? options.volume : 1,
+      fadeOut: options.fadeOut || 0,
+      level: 0,
+      stopped: false
+    }
+    this.voices.push(voice)
+    voice.startTimer = setTimeout(() => this.startVoice(voice, options), options.delay || 0)
+    return voice
+  }
+
+  async startVoice(voice, options) {
+    voice.startTimer = null
+    if (voice.stopped) return
+    const fadeIn = options.fadeIn > 0 && this.canFade() ? options.fadeIn : 0
+    voice.level = fadeIn ? 0 : voice.volume
+    const fields = this.component.fields
+    voice.audioID = await this.plugin.audio.play(this.plugin.paths.absolute(options.file), {
+      volume: voice.level,
+      loop: !!options.loop,
+      x: fields.x,
+      y: fields.y,
+      height: fields.height
+    })
+    if (voice.stopped) {
+      this.plugin.audio.stop(voice.audioID)
+      return
+    }
+    if (fadeIn) this.fade(voice, voice.volume, fadeIn)
+    if (options.duration > 0) {
+      const fadeOut = Math.min(voice.fadeOut, options.duration)
+      voice.endTimer = setTimeout(() => this.stopVoice(voice, fadeOut), options.duration - fadeOut)
+    }
+  }
+
+  /** Steps a voice's volume to the target level over the given time. Resolves when done or superseded. */
+  fade(voice, target, duration) {
+    clearInterval(voice.fadeTimer)
+    const from = voice.level
+    const steps = Math.max(1, Math.round(duration / FADE_STEP))
+    let step = 0
+    return new Promise(resolve => {
+      voice.fadeTimer = setInterval(() => {
+        step++
+        voice.level = from + (target - from) * step / steps
+        this.plugin.audio.setVolume(voice.audioID, voice.level)
+        if (step >= steps) {
+          clearInterval(voice.fadeTimer)
+          resolve()
+        }
+      }, FADE_STEP)
+    })
+  }
+
+  /** Stops a voice, fading it out first when a fade time is given. A voice still waiting for its delay never starts. */
+  async stopVoice(voice, fadeOut) {
+    if (voice.stopped) return
+    voice.stopped = true
+    clearTimeout(voice.startTimer)
+    clearTimeout(voice.endTimer)
+    const index = this.voices.indexOf(voice)
+    if (index > -1) this.voices.splice(index, 1)
+    if (typeof voice.audioID === 'undefined') return
+    if (fadeOut > 0 && this.canFade()) await this.fade(voice, 0, fadeOut)
+    clearInterval(voice.fadeTimer)
+    this.plugin.audio.stop(voice.audioID)
+  }
+
+  stopChannel(channel, fadeOut) {
+    this.voices.filter(v => v.channel === channel).forEach(v => this.stopVoice(v, fadeOut))
+  }
+
+  stopAll() {
+    this.voices.slice().forEach(v => this.stopVoice(v, 0))
+  }
+}
+
+/**
+ * Trigger Component
+ */
+class TriggerComponent extends BaseComponent {
+  async onLoad() {
+    this.plugin.triggerComponents.push(this)
+    this.userID = await this.plugin.user.getID()
+    this.currentInputType = (this.getField('inputType') || "On-Click").trim().toLowerCase()
+    this.delayTimers = []
+    const props = await this.plugin.objects.get(this.objectID)
+    this.draws = (props && props.randomDraws) || 0
+    this.startInput()
+    if (this.currentInputType === 'on space load') {
+      // Only the first client in the space fires; clients already present hold the claim.
+      this.triggered = true
+      this.plugin.claimTrigger(this)
+    }
+    this.plugin.invalidateZones()
+  }
+
+  async onSettingsUpdated() {
+    const newInputType = (this.getField('inputType') || "On-Click").trim().toLowerCase()
+    if (newInputType !== this.currentInputType) {
+      this.reportPresence(false)
+      this.currentInputType = newInputType
+      this.triggered = false
+    }
+    this.stopInput()
+    this.startInput()
+    this.plugin.invalidateZones()
+  }
+
+  async onObjectUpdated() {
+    this.draws = Math.max(this.draws || 0, this.fields.randomDraws || 0)
+    this.plugin.invalidateZones()
+  }
+
+  /** Starts the timers needed by the current input type. Proximity inputs are checked by the plugin's scheduler. */
+  startInput() {
+    const inputType = this.currentInputType
+    if (inputType === 'interval') {
+      this.scheduleInterval()
+    } else if (inputType === 'schedule') {
+      this.scheduleCron()
+    }
+  }
+
+  stopInput() {
+    if (this.timeout) {
+      clearTimeout(this.timeout)
+      this.timeout = null
+    }
+    this.delayTimers.forEach(timer => clearTimeout(timer))
+    this.delayTimers = []
+    clearTimeout(this.clickTimer)
+    this.clickTimer = null
+    this.hoverFired = false
+    if (this.holdTimer) this.cancelHold()
+  }
+
+  /**
+   * Interval ticks are aligned to wall-clock multiples of the interval, so every client claims the same tick
+   * and derives the same eventID from it.
+   */
+  scheduleInterval() {
+    const period = Math.max(1, parseFloat(this.getField('interval')) || 60) * 1000
+    this.timeout = setTimeout(() => {
+      const tick = Math.round(Date.now() / period)
+      this.plugin.claimTrigger(this, this.objectID + '@' + tick)
+      this.scheduleInterval()
+    }, period - (Date.now() % period))
+  }
+
+  /** Checks the cron schedule at the start of every minute. */
+  scheduleCron() {
+    this.timeout = setTimeout(() => {
+      const minute = Math.round(Date.now() / 60000)
+      const cron = parseCron(this.getField('schedule'))
+      if (cron && cronMatches(cron, new Date(minute * 60000))) {
+        this.plugin.claimTrigger(this, this.objectID + '@' + minute)
+      }
+      this.scheduleCron()
+    }, 60000 - (Date.now() % 60000))
+  }
+
+  onUnload() {
+    this.stopInput()
+    this.reportPresence(false)
+    const index = this.plugin.triggerComponents.indexOf(this)
+    if (index > -1) {
+      this.plugin.triggerComponents.splice(index, 1)
+    }
+    this.plugin.invalidateZones()
+  }
+
+  isProximityInput() {
+    return this.currentInputType === 'proximity' || this.currentInputType === 'multi-proximity'
+  }
+
+  /** Returns true if a pointer, view or key input fires: it is the Input Type, or it has an alternate ActionID. */
+  isInputActive(input) {
+    return input === this.currentInputType || !!this.getField(INPUT_ACTION_IDS[input])
+  }
+
+  /** Fires a pointer, view or key input with the main ActionID if it is the Input Type, and otherwise with its alternate ActionID. */
+  fireInput(input) {
+    return this.trigger(undefined, input === this.currentInputType ? undefined : this.getField(INPUT_ACTION_IDS[input]), input)
+  }
+
+  /** Returns every ActionID this trigger can send. */
+  getOutputActionIDs() {
+    return ['actionID', 'exitActionID', 'dwellActionID', ...Object.values(INPUT_ACTION_IDS)].map(id => this.getField(id))
+      .concat(parseList(this.getField('randomActionIDs'))).filter(Boolean)
+  }
+
+  /** Returns configuration issues for the link validator. */
+  async validate(links) {
+    const issues = []
+    const report = issueReporter(issues, this.objectID, 'Trigger')
+    const actionID = this.getField('actionID')
+    const randomIDs = parseList(this.getField('randomActionIDs'))
+    if (!actionID && randomIDs.length === 0) {
+      report('error', 'It has no ActionID, so it triggers nothing.', 'Enter the ActionID of the receivers it should trigger.')
+    } else if (actionID && randomIDs.length === 0 && !links.isHeard(actionID)) {
+      report('warning', 'Nothing listens for its ActionID "' + actionID + '".', 'Enter the same ActionID on a receiver, logic gate or sequencer, or correct a typo.')
+    }
+    for (const id of randomIDs.filter(id => !links.isHeard(id))) {
+      report('warning', 'Nothing listens for its Random ActionID "' + id + '".', 'Enter the same ActionID on a receiver, logic gate or sequencer, or remove it from the list.')
+    }
+    for (const [id, name] of [['exitActionID', 'Exit'], ['dwellActionID', 'Dwell'], ['clickActionID', 'Click'], ['doubleClickActionID', 'Double-Click'], ['holdActionID', 'Hold'], ['hoverActionID', 'Hover'], ['keyActionID', 'Key']]) {
+      const value = this.getField(id)
+      if (value && !links.isHeard(value)) {
+        report('warning', 'Nothing listens for its ' + name + ' ActionID "' + value + '".', 'Enter the same ActionID on a receiver, logic gate or sequencer, or clear the setting.')
+      }
+    }
+    if (this.currentInputType === 'after delay') {
+      const after = this.getField('delayAfterActionID')
+      if (!after) {
+        report('error', 'After Delay mode has no After ActionID, so the countdown never starts.', 'Enter the ActionID that should start the countdown.')
+      } else if (!links.sent.has(after)) {
+        report('warning', 'Nothing sends its After ActionID "' + after + '".', 'Use the ActionID of an existing trigger, logic gate or sequencer step.')
+      }
+    }
+    if (this.currentInputType === 'schedule' && !parseCron(this.getField('schedule'))) {
+      report('error', 'Its Schedule "' + this.getField('schedule') + '" is not a valid cron expression.', 'Use five fields (minute hour day month weekday), e.g. "0 * * * *".')
+    }
+    if (this.currentInputType === 'interval' && !(parseFloat(this.getField('interval')) > 0)) {
+      report('error', 'Its Interval is not a positive number of seconds.', 'Enter the number of seconds between triggers.')
+    }
+    if ((this.isInputActive('key press') || this.isInputActive('hold')) && !normalizeKey(this.getField('key'))) {
+      report('error', 'It listens for a key press or hold but has no Key.', 'Enter the key to press, e.g. "E".')
+    }
+    const command = parseCommand(this.getField('command'))
+    if (command && !['goto', 'index', 'next', 'previous', 'reset', 'toggle', 'play'].includes(command.name)) {
+      report('error', 'Its Command "' + this.getField('command') + '" is not recognized.', 'Use goto:<state>, index:<number>, next, previous, reset, toggle or play:<animation>, or leave it empty.')
+    }
+    return issues
+  }
+
+  /**
+   * Fires the click input. With a double-click input as well, a click waits for the Double-Click Time so the
+   * two are told apart.
+   */
+  async onClick() {
+    const click = this.isInputActive('on-click')
+    if (!this.isInputActive('double-click')) {
+      if (click) await this.fireInput('on-click')
+      return
+    }
+    if (this.clickTimer) {
+      clearTimeout(this.clickTimer)
+      this.clickTimer = null
+      await this.fireInput('double-click')
+      return
+    }
+    const wait = Math.max(0, parseFloat(this.getField('doubleClickTime')) || 0.4) * 1000
+    this.clickTimer = setTimeout(() => {
+      this.clickTimer = null
+      if (click) this.fireInput('on-click')
+    }, wait)
+  }
+
+  /**
+   * Tells every client whether the user is inside this Multi-Proximity zone, on entering and leaving and
+   * every ZONE_PRESENCE_REFRESH while inside.
+   */
+  reportPresence(inside) {
+    const now = Date.now()
+    if (inside === !!this.presenceInside && (!inside || now - this.presenceSentAt < ZONE_PRESENCE_REFRESH)) return
+    this.presenceInside = inside
+    this.presenceSentAt = now
+    this.plugin.setZonePresence(this.objectID, this.userID, inside)
+    this.plugin.messages.send({ action: 'zonePresence', objectID: this.objectID, userID: this.userID, inside: inside }, false)
+  }
+
+  /** Fires the key input if the user is inside the zone. */
+  async onKeyPress() {
+    const position = await this.plugin.user.getPosition()
+    if (position && isInsideZone(this.getZone(), position)) await this.fireInput('key press')
+  }
+
+  /**
+   * Called by the plugin when the Key goes down, or repeats while held. With a Hold input, a key press only
+   * fires if the key is let go before the Hold Time, so a tap and a hold can send different ActionIDs.
+   */
+  onKeyDown(repeat) {
+    if (!this.isInputActive('hold')) {
+      if (!repeat) this.onKeyPress()
+      return
+    }
+    this.lastKeyTime = Date.now()
+    if (repeat) this.keyRepeated = true
+    else if (!this.holdTimer) this.startHold()
+  }
+
+  /**
+   * Starts a hold if the user is inside the zone. The host does not report keys being let go, so the hold ends
+   * early once the key stops repeating. Its progress is shown from the first repeat, when the key is known to
+   * be held, until the Hold Time is reached.
+   */
+  async startHold() {
+    this.keyRepeated = false
+    const position = await this.plugin.user.getPosition()
+    if (this.holdTimer || !position || !isInsideZone(this.getZone(), position)) return
+    const duration = Math.max(0, parseFloat(this.getField('holdTime')) || 1) * 1000
+    const start = Date.now()
+    this.holdTimer = setInterval(() => {
+      const now = Date.now()
+      if (now - this.lastKeyTime > (this.keyRepeated ? HOLD_REPEAT_GAP : HOLD_RELEASE_GAP)) {
+        this.cancelHold()
+        if (this.isInputActive('key press')) this.fireInput('key press')
+        return
+      }
+      if (!this.keyRepeated) return
+      const progress = Math.min(1, (now - start) / duration)
+      this.showHoldProgress(progress)
+      if (progress < 1) return
+      clearInterval(this.holdTimer)
+      this.holdTimer = null
+      this.fireInput('hold')
+    }, HOLD_PROGRESS_STEP)
+  }
+
+  cancelHold() {
+    clearInterval(this.holdTimer)
+    this.holdTimer = null
+    if (this.keyRepeated) this.showHoldProgress(null)
+  }
+
+  /** Reports a hold's progress (0 to 1, or null when let go early) to "holdProgress" listeners and as a toast. */
+  showHoldProgress(progress) {
+    this.plugin.emitEvent('holdProgress', { objectID: this.objectID, progress: progress })
+    if (progress === null || !this.plugin.menus.toast) return
+    this.plugin.menus.toast({ text: progress < 1 ? 'Hold… ' + Math.round(progress * 100) + '%' : 'Done', duration: HOLD_PROGRESS_STEP * 2 })
+  }
+
+  /**
+   * Fires the hover input once per look, when the user has looked at the object for the Hover Time. Called by
+   * the plugin with how long (in milliseconds) the user has, or -1 if they look elsewhere.
+   */
+  checkHover(looked) {
+    if (looked < 0) {
+      this.hoverFired = false
+      return
+    }
+    const duration = Math.max(0, parseFloat(this.getField('hoverTime')) || 2) * 1000
+    if (this.hoverFired || looked < duration) return
+    this.hoverFired = true
+    this.fireInput('hover')
+  }
+
+  /**
+   * Tracks whether the zone is occupied. The main ActionID fires on enter, the Exit ActionID when the zone is
+   * no longer occupied, and the Dwell ActionID once the zone has been occupied for the Dwell Time.
+   *
+   * Called by the plugin's scheduler with the user's position. A Multi-Proximity zone counts as occupied while
+   * the user is inside and enough users in total report being inside.
+   */
+  async checkProximity(position) {
+    let inside = isInsideZone(this.getZone(), position)
+    if (this.currentInputType === 'multi-proximity') {
+      this.reportPresence(inside)
+      inside = inside && this.plugin.countZonePresence(this.objectID) >= (parseInt(this.getField('requiredUserCount')) || 2)
+    }
+
+    if (inside && !this.triggered) {
+      this.triggered = true
+      this.enteredAt = Date.now()
+      this.dwellFired = false
+      this.plugin.claimTrigger(this)
+    } else if (!inside && this.triggered) {
+      this.triggered = false
+      this.dwellFired = false
+      if (this.getField('exitActionID')) {
+        this.plugin.claimTrigger(this, undefined, 'exit')
+      }
+    } else if (inside && !this.dwellFired && this.getField('dwellActionID')) {
+      const dwellTime = Math.max(0, parseFloat(this.getField('dwellTime')) || 0) * 1000
+      if (Date.now() - this.enteredAt >= dwellTime) {
+        this.dwellFired = true
+        this.plugin.claimTrigger(this, undefined, 'dwell')
+      }
+    }
+  }
+
+  /** Returns the zone around the object. The object's ground position is (x, y) and its vertical position is height. */
+  getZone() {
+    const offset = parseNumbers(this.getField('zoneOffset'), [0, 0, 0])
+    return {
+      shape: (this.getField('zoneShape') || 'Sphere').trim().toLowerCase(),
+      center: { x: (this.fields.x || 0) + offset[0], y: (this.fields.y || 0) + offset[1], z: (this.fields.height || 0) + offset[2] },
+      radius: parseFloat(this.getField('proximityDistance')) || 2,
+      size: parseNumbers(this.getField('zoneSize'), [4, 4, 3]),
+      heightRange: parseNumbers(this.getField('cylinderHeight'), [0, 3])
+    }
+  }
+
+  /** Returns true if this client is part of the ongoing occurrence of the given claim kind. */
+  holdsClaim(kind) {
+    return kind === 'dwell' ? !!this.dwellFired : !!this.triggered
+  }
+
+  fireClaim(kind, eventID) {
+    if (kind === 'exit') {
+      this.trigger(eventID, this.getField('exitActionID'))
+    } else if (kind === 'dwell') {
+      this.trigger(eventID, this.getField('dwellActionID'))
+    } else {
+      this.trigger(eventID)
+    }
+  }
+
+  /**
+   * Returns { actionID, draw } for the next trigger: one of the Random ActionIDs if there are any, else the
+   * ActionID. The pick is made once, by the client that fires, and sent to everyone. With a Random Seed the nth
+   * pick is derived from the seed. Every client counts the picks from the triggers it receives (the trigger
+   * carries its draw number), and the client that picks saves the count as randomDraws without reading it
+   * first, so the sequence carries on across visits.
+   */
+  pickActionID() {
+    const choices = parseList(this.getField('randomActionIDs'))
+    if (choices.length === 0) return { actionID: this.getField('actionID') || '' }
+    const seed = this.getField('randomSeed')
+    if (!seed) return { actionID: pickWeighted(choices, parseList(this.getField('randomWeights')), Math.random()) }
+    const draw = this.draws || 0
+    this.draws = draw + 1
+    this.plugin.objects.update(this.objectID, { randomDraws: this.draws }, false)
+    return { actionID: pickWeighted(choices, parseList(this.getField('randomWeights')), hashRoll(seed + '#' + draw)), draw: draw }
+  }
+
+  async trigger(eventID, overrideActionID, input) {
+    const { actionID, draw } = overrideActionID ? { actionID: overrideActionID } : this.pickActionID()
+    const isAdmin = await this.plugin.user.isAdmin()
+    this.plugin.logEvent({ kind: 'fired', component: 'Trigger', objectID: this.objectID, actionID: actionID, userID: this.userID, detail: input || this.currentInputType })
+    this.plugin.messages.send({
+      action: 'trigger',
+      actionID: actionID,
+      event: this.getField('event') || undefined,
+      command: this.getField('command') || undefined,
+      eventID: eventID || createEventID(this.plugin.instanceID),
+      instanceID: this.plugin.instanceID,
+      userID: this.userID,
+      objectID: this.objectID,
+      startAt: this.plugin.now() + START_LEAD,
+      randomDraw: draw,
+      isAdmin: isAdmin
+    }, false)
+  }
+
+  async onMessage(msg) {
+    // Picks by other clients advance the Random Seed sequence here too.
+    if (msg.action === 'trigger' && msg.objectID === this.objectID && typeof msg.randomDraw === 'number') {
+      this.draws = Math.max(this.draws, msg.randomDraw + 1)
+    }
+    if (this.currentInputType !== 'after delay' || msg.action !== 'trigger') return
+    const sourceID = this.getField('delayAfterActionID')
+    if (!sourceID || msg.actionID !== sourceID) return
+    const delay = Math.max(0, parseFloat(this.getField('delay')) || 0) * 1000
+    const eventID = (msg.eventID || createEventID(this.plugin.instanceID)) + '>' + this.objectID
+    const timer = setTimeout(() => {
+      this.delayTimers.splice(this.delayTimers.indexOf(timer), 1)
+      this.plugin.claimTrigger(this, eventID)
+    }, delay)
+    this.delayTimers.push(timer)
+  }
+}
+
+/**
+ * Receiver Component with Dynamic Updating
+ */
+class ReceiverComponent extends BaseComponent {
+  async onLoad() {
+    this.plugin.receiverComponents.push(this)
+    this.userID = await this.plugin.user.getID()
+
+    const props = await this.plugin.objects.get(this.objectID)
+    if (props && props.currentState) {
+      this.currentState = props.currentState
+    }
+    if (props && typeof props.currentDirection !== 'undefined') {
+      this.currentDirection = props.currentDirection
+    }
+    this.seenEvents = new Map()
+    this.stateVersion = (props && props.stateVersion) || 0
+    this.stateOwner = (props && props.stateOwner) || ''
+    this.inFlight = null
+    this.audioPlayer = new AudioPlayer(this.plugin, this)
+    this.soundCount = 0
+    this.loopKey = ''
+    this.modelURL = this.fields.url
+    this.animationList = null
+    this.unknownAnimations = new Set()
+    
+    await this.readSettings()
+    this.loadAnimations()
+
+    this.processingTransition = false
+    this.lastTriggerTime = 0
+    this.loadedAt = Date.now()
+    this.runToken = 0
+    this.pendingTriggers = []
+
+    // A transition persisted as in-flight is resumed for its remaining time. A peer snapshot, when one
+    // arrives, takes precedence if it is newer.
+    if (props && props.inFlight && props.inFlight.target) {
+      const remaining = props.inFlight.startedAt + props.inFlight.duration - Date.now()
+      this.applySnapshot({ stateVersion: this.stateVersion, stateOwner: this.stateOwner, inFlight: { ...props.inFlight, remaining } }, true)
+    }
+    const snapshot = this.plugin.syncSnapshots[this.objectID]
+    if (snapshot) {
+      const age = Date.now() - snapshot.receivedAt
+      this.applySnapshot({ ...snapshot, inFlight: snapshot.inFlight && { ...snapshot.inFlight, remaining: snapshot.inFlight.remaining - age } })
+    }
+    this.plugin.requestSync()
+    this.scheduleAutoRevert()
+  }
+
+  async onSettingsUpdated() {
+    await this.readSettings()
+    if (!this.processingTransition) this.scheduleAutoRevert()
+  }
+
+  async readSettings() {
+    const animMode = (this.getField('animationMode') || 'Reactive').trim()
+    const rawDisable = this.getField('disableLocalAudio')
+    this.disableLocalAudio = rawDisable === true || String(rawDisable).toLowerCase() === "true"
+    this.transitionSounds = parseJSONObject(this.getField('transitionSounds'))
+    this.stateLoops = parseJSONObject(this.getField('stateLoops'))
+    this.propertyEffects = parseJSONObject(this.getField('propertyEffects'))
+    this.animationOverrides = parseJSONObject(this.getField('animationOverrides'))
+    
+    if (animMode === 'Transition') {
+      this.transitionMode = (this.getField('transitionMode') || 'Cycle').trim()
+      if (this.transitionMode === 'Cycle') {
+        let staticStatesStr = this.getField('staticStates')
+        if (!staticStatesStr || staticStatesStr.trim().length === 0) {
+          staticStatesStr = 'static01, static02, static03'
+        }
+        this.staticStates = staticStatesStr.split(',').map(s => s.trim()).filter(s => s.length > 0)
+        if (!this.currentState || !this.staticStates.includes(this.currentState)) {
+          this.currentIndex = 0
+          this.currentState = this.staticStates[0]
+        } else {
+          this.currentIndex = this.staticStates.indexOf(this.currentState)
+        }
+        let forwardStr = this.getField('forwardTransitions')
+        if (!forwardStr || forwardStr.trim().length === 0) {
+          forwardStr = 'transition01, transition02'
+        }
+        this.forwardTransitions = forwardStr.split(',').map(s => s.trim()).filter(s => s.length > 0)
+        let reverseStr = this.getField('reverseTransitions')
+        if (!reverseStr || reverseStr.trim().length === 0) {
+          reverseStr = 'return02, return01'
+        }
+        this.reverseTransitions = reverseStr.split(',').map(s => s.trim()).filter(s => s.length > 0).reverse()
+        if (this.currentIndex >= this.staticStates.length - 1) {
+          this.currentDirection = -1
+        } else if (this.currentIndex <= 0) {
+          this.currentDirection = 1
+        } else if (typeof this.currentDirection === 'undefined') {
+          this.currentDirection = 1
+        }
+      } else {
+        this.stateMachine = parseStateMachine(this.getField('transitionMapping'), this.getField('initialState') || 'static01')
+        if (!this.currentState || !this.stateMachine.states[this.currentState]) {
+          this.currentState = this.stateMachine.initial
+        }
+      }
+    }
+    this.updateStateLoop()
+  }
+
+  /** Drops the animation catalog when the object's model changes. */
+  onObjectUpdated() {
+    if (this.fields.url === this.modelURL) return
+    this.modelURL = this.fields.url
+    this.animationList = null
+    this.unknownAnimations = new Set()
+  }
+
+  /** Returns true if this receiver responds to the given ActionID. */
+  listensTo(actionID) {
+    if (!actionID) return false
+    if (actionID === this.getField('actionID')) return true
+    return this.isMappingMode() && !!this.stateMachine && this.stateMachine.keys.includes(actionID)
+  }
+
+  isMappingMode() {
+    return (this.getField('animationMode') || 'Reactive').trim() === 'Transition'
+      && (this.getField('transitionMode') || 'Cycle').trim() === 'Mapping'
+  }
+
+  isCycleMode() {
+    return (this.getField('animationMode') || 'Reactive').trim() === 'Transition'
+      && (this.getField('transitionMode') || 'Cycle').trim() === 'Cycle'
+  }
+
+  /** Returns configuration issues for the link validator. */
+  async validate(links) {
+    const issues = []
+    const report = issueReporter(issues, this.objectID, 'Receiver')
+    const actionID = this.getField('actionID')
+    const mapping = this.isMappingMode()
+    if (!actionID && !(mapping && this.stateMachine && this.stateMachine.keys.length > 0)) {
+      report('error', 'It has no ActionID, so nothing can trigger it.', 'Enter the ActionID of the trigger that should activate it.')
+    } else if (actionID && !links.sent.has(actionID)) {
+      report('warning', 'Nothing sends its ActionID "' + actionID + '".', 'Add a trigger, logic gate output or sequencer step with this ActionID, or correct a typo.')
+    }
+
+    const jsonSettings = [['transitionSounds', 'Transition Sounds'], ['stateLoops', 'State Loops'], ['propertyEffects', 'Property Effects'], ['animationOverrides', 'Animation Overrides']]
+    if (mapping) jsonSettings.unshift(['transitionMapping', 'Transition Mapping'])
+    for (const [id, name] of jsonSettings) {
+      const error = getJSONError(this.getField(id))
+      if (error) report('error', 'Its ' + name + ' is not valid JSON (' + error + ') and is ignored.', 'Fix the JSON, e.g. check for missing quotes, commas or brackets.')
+    }
+
+    const mode = (this.getField('animationMode') || 'Reactive').trim()
+    let animations = []
+    if (mode === 'Reactive') {
+      animations = parseList(this.getField('reactiveAnimation')).concat(this.getField('defaultAnimation'))
+    } else if (!mapping && this.staticStates) {
+      const steps = this.staticStates.length - 1
+      if (this.forwardTransitions.length < steps) {
+        report('warning', 'It has ' + this.forwardTransitions.length + ' forward transitions for ' + steps + ' steps between static states; the missing steps play the first one.', 'List one forward transition per step in Forward Transitions.')
+      }
+      if (this.reverseTransitions.length < steps) {
+        report('warning', 'It has ' + this.reverseTransitions.length + ' reverse transitions for ' + steps + ' steps between static states; the missing steps play the first one.', 'List one reverse transition per step in Reverse Transitions.')
+      }
+      animations = this.staticStates.concat(this.forwardTransitions, this.reverseTransitions)
+      if ((this.getField('cyclePolicy') || '').trim() === 'Loop') animations.push((this.getField('wrapTransition') || '').trim())
+    } else if (mapping && this.stateMachine) {
+      const machine = this.stateMachine
+      if (!machine.states[machine.initial]) {
+        report('warning', 'Its initial state "' + machine.initial + '" is not defined in the Transition Mapping.', 'Set Initial State (or "initial" in the mapping) to one of its states.')
+      }
+      for (const name of Object.keys(machine.states)) {
+        const state = machine.states[name]
+        animations.push(state.animation)
+        for (const t of state.transitions) {
+          animations.push(t.animation)
+          if (t.choices && [].concat(t.weights || []).some(weight => isNaN(parseFloat(weight)) || weight < 0)) {
+            report('warning', 'The random transition from "' + name + '" has invalid weights; they count as 1.', 'Give one non-negative number per state in "to", e.g. "weights": [1, 3].')
+          }
+          for (const guard of [].concat(t.guard || [])) {
+            if (guard.object && !await this.plugin.objects.get(guard.object)) {
+              report('warning', 'A guard on the transition from "' + name + '" to "' + t.to + '" checks object ' + guard.object + ', which does not exist.', 'Use the object ID of an existing receiver in the guard.')
+            }
+          }
+        }
+      }
+    }
+    const catalog = await this.loadAnimations()
+    if (catalog.length > 0) {
+      const missing = [...new Set(animations.filter(name => name && !this.findAnimation(name)
+        && this.getPropertyEffects(name).length === 0 && !this.getAnimationOverride(name).duration))]
+      if (missing.length > 0) {
+        report('warning', 'Its object has no animation named ' + missing.map(name => '"' + name + '"').join(', ') + '.', 'Use one of the object\'s animations: ' + catalog.map(a => a.name).join(', ') + '.')
+      }
+    }
+    const played = [...this.unknownAnimations].filter(name => !animations.includes(name) && !this.findAnimation(name))
+    if (played.length > 0) {
+      report('warning', 'It was asked to play ' + played.map(name => '"' + name + '"').join(', ') + ', which its object does not have.', 'Check the animation names in commands sent to it, e.g. "play:<animation>".')
+    }
+    return issues
+  }
+
+  onUnload() {
+    const index = this.plugin.receiverComponents.indexOf(this)
+    if (index > -1) {
+      this.plugin.receiverComponents.splice(index, 1)
+    }
+    if (this.inFlightTimer) {
+      clearTimeout(this.inFlightTimer)
+      this.inFlightTimer = null
+    }
+    if (this.drainTimer) {
+      clearTimeout(this.drainTimer)
+      this.drainTimer = null
+    }
+    clearTimeout(this.revertTimer)
+    this.audioPlayer.stopAll()
+  }
+
+  /**
+   * Marks the start of a transition towards the target state. Returns the properties to persist
+   * alongside the animation update so late joiners can resume it.
+   */
+  beginTransition(target, duration) {
+    this.inFlight = {
+      target: target,
+      direction: this.currentDirection,
+      startedAt: Date.now(),
+      duration: duration,
+      version: this.stateVersion + 1,
+      owner: this.plugin.instanceID
+    }
+    return { inFlight: this.inFlight }
+  }
+
+  /** Settles on a new state and returns the properties to persist for it. */
+  commitState(state) {
+    const previous = this.currentState
+    if (state !== this.currentState) this.previousState = this.currentState
+    this.currentState = state
+    this.runCommitted = true
+    this.stateVersion = this.inFlight ? this.inFlight.version : this.stateVersion + 1
+    this.stateOwner = this.inFlight ? this.inFlight.owner : this.plugin.instanceID
+    this.inFlight = null
+    this.updateStateLoop()
+    this.plugin.logEvent({ kind: 'state', component: 'Receiver', objectID: this.objectID, detail: state })
+    if (state !== previous) this.plugin.emitEvent('stateChange', { objectID: this.objectID, state: state, previousState: previous || '' })
+    return { currentState: this.currentState, stateVersion: this.stateVersion, stateOwner: this.stateOwner, inFlight: null }
+  }
+
+  /**
+   * Saves a step of the current run (its animation and state) to the object. Every client runs the same steps
+   * at the same time, but only the client that owns the run writes them, so the object goes through the steps
+   * once and in order. The other clients keep the state in step and show the owner's writes.
+   */
+  saveStep(props) {
+    if (!this.runOwned) return
+    return this.plugin.objects.update(this.objectID, { ...props, dateModified: Date.now() }, false)
+  }
+
+  /** Returns this receiver's authoritative state for the sync protocol. Times are relative to avoid clock drift. */
+  getSnapshot() {
+    const now = Date.now()
+    return {
+      objectID: this.objectID,
+      currentState: this.currentState,
+      currentDirection: this.currentDirection,
+      stateVersion: this.stateVersion,
+      stateOwner: this.stateOwner,
+      lastTriggerAgo: this.lastTriggerTime ? now - this.lastTriggerTime : null,
+      inFlight: this.inFlight && {
+        target: this.inFlight.target,
+        direction: this.inFlight.direction,
+        duration: this.inFlight.duration,
+        version: this.inFlight.version,
+        owner: this.inFlight.owner,
+        remaining: Math.max(0, this.inFlight.startedAt + this.inFlight.duration - now)
+      }
+    }
+  }
+
+  /**
+   * Fast-forwards to a peer's snapshot if it is newer than the local state (higher version, ties broken by the
+   * owning instance). An in-flight transition is finished locally once its remaining time has elapsed; the
+   * client that started it writes the final state.
+   */
+  applySnapshot(snapshot, force) {
+    const version = snapshot.stateVersion || 0
+    const owner = snapshot.stateOwner || ''
+    const isNewer = version > this.stateVersion || (version === this.stateVersion && owner > this.stateOwner)
+    const isSame = version === this.stateVersion && owner === this.stateOwner
+    if (!force && !isNewer && !(isSame && snapshot.inFlight && !this.inFlight)) return
+
+    if (isNewer) {
+      this.stateVersion = version
+      this.stateOwner = owner
+      if (snapshot.currentState && snapshot.currentState !== this.currentState) {
+        const previous = this.currentState
+        this.currentState = snapshot.currentState
+        this.plugin.emitEvent('stateChange', { objectID: this.objectID, state: this.currentState, previousState: previous || '' })
+      }
+      if (typeof snapshot.currentDirection !== 'undefined') this.currentDirection = snapshot.currentDirection
+      if (typeof snapshot.lastTriggerAgo === 'number') this.lastTriggerTime = Date.now() - snapshot.lastTriggerAgo
+    }
+    if (this.inFlightTimer) {
+      clearTimeout(this.inFlightTimer)
+      this.inFlightTimer = null
+    }
+    const inFlight = snapshot.inFlight
+    if (inFlight && inFlight.target) {
+      const remaining = Math.max(0, inFlight.remaining || 0)
+      this.inFlight = { ...inFlight, startedAt: Date.now() - (inFlight.duration - remaining) }
+      this.processingTransition = true
+      this.inFlightTimer = setTimeout(() => {
+        this.inFlightTimer = null
+        this.currentDirection = inFlight.direction
+        this.commitState(inFlight.target)
+        this.processingTransition = false
+        this.completeTransition()
+        this.readSettings()
+        this.scheduleDrain()
+        this.scheduleAutoRevert()
+      }, remaining)
+    } else if (isNewer) {
+      this.inFlight = null
+      this.processingTransition = false
+    }
+    this.readSettings()
+    if (!this.processingTransition) this.scheduleAutoRevert()
+  }
+
+  async onClick() { }
+
+  async onMessage(msg) {
+    if (msg.action === 'trigger' && this.listensTo(msg.actionID)) {
+      if (String(this.getField('adminOnly')).toLowerCase() === "true" && !msg.isAdmin) return
+      if (!markEventSeen(this.seenEvents, msg.eventID)) {
+        this.log('dropped', msg, 'Already handled (duplicate eventID)')
+        return
+      }
+      this.handleTrigger(msg)
+    }
+  }
+
+  /**
+   * Runs a trigger, or applies the Busy Policy when a transition is still running or the cooldown has not
+   * elapsed: Drop ignores it, Queue and Latest-Wins keep it for later, and Interrupt cuts the current
+   * transition (including its audio) and runs it at once.
+   *
+   * A trigger with a scheduled start (startAt, in shared time) is handled at that moment, so every client
+   * starts it together.
+   */
+  async handleTrigger(msg) {
+    const lead = typeof msg.startAt === 'number' ? msg.startAt - this.plugin.now() : 0
+    if (lead > 0) await wait(lead)
+    if (this.isBusy()) {
+      const policy = (this.getField('busyPolicy') || 'Drop').trim()
+      const reason = this.processingTransition ? 'a transition is running' : 'the cooldown has not elapsed'
+      if (policy === 'Queue') {
+        if (this.pendingTriggers.length < Math.max(1, parseInt(this.getField('queueSize')) || 3)) {
+          this.pendingTriggers.push(msg)
+          this.log('queued', msg, 'Queued because ' + reason)
+        } else {
+          this.log('dropped', msg, 'Queue is full and ' + reason)
+        }
+        this.scheduleDrain()
+        return
+      }
+      if (policy === 'Latest-Wins') {
+        this.pendingTriggers.forEach(pending => this.log('dropped', pending, 'Replaced by a newer trigger (Latest-Wins)'))
+        this.pendingTriggers = [msg]
+        this.log('queued', msg, 'Waiting because ' + reason)
+        this.scheduleDrain()
+        return
+      }
+      if (policy !== 'Interrupt') {
+        this.log('dropped', msg, 'Busy Policy is Drop and ' + reason)
+        return
+      }
+      this.log('interrupted', msg, 'Interrupted the running transition')
+      this.interrupt()
+    }
+    await this.runTrigger(msg, true)
+  }
+
+  /** Records an event about a trigger message in the plugin's event log. */
+  log(kind, msg, detail) {
+    this.plugin.logEvent({ kind: kind, component: 'Receiver', objectID: this.objectID, actionID: msg && msg.actionID, userID: msg && (msg.userID || msg.fromUser), detail: detail })
+  }
+
+  /** Returns this receiver's row for the inspector panel. */
+  getInspectorState() {
+    let status = this.processingTransition ? 'transition to ' + (this.inFlight ? this.inFlight.target : '…') : 'idle'
+    if (this.pendingTriggers.length > 0) status += ', ' + this.pendingTriggers.length + ' pending'
+    return { objectID: this.objectID, actionID: this.getField('actionID') || '', state: this.currentState || '', status: status }
+  }
+
+  isBusy() {
+    const cooldown = (parseFloat(this.getField('cooldown')) || 1) * 1000
+    return this.processingTransition || Date.now() - this.lastTriggerTime < cooldown
+  }
+
+  /**
+   * Starts handling a trigger. Each run gets a new token; a run that finds the token changed after an await
+   * has been interrupted and stops without touching the state.
+   *
+   * A trigger run at once (not from the queue) that arrived after its scheduled start skips forward by the
+   * time it is late: its waits are shortened until it has caught up, so it ends together with the other clients.
+   */
+  async runTrigger(msg, scheduled) {
+    clearTimeout(this.revertTimer)
+    this.revertTimer = null
+    // Auto-Revert steps do not count as triggers, so a walk back of several steps carries on without waiting.
+    if (!msg.revert) this.lastTriggerTime = Date.now()
+    this.processingTransition = true
+    this.runToken++
+    this.currentEventID = msg.eventID
+    this.currentActionID = msg.actionID
+    this.runCommitted = false
+    // The client that sent the trigger (or claimed the Auto-Revert) saves the steps and property effects.
+    this.runOwned = !msg.instanceID || msg.instanceID === this.plugin.instanceID
+    this.effectCount = 0
+    this.soundCount = 0
+    this.runLate = scheduled && typeof msg.startAt === 'number' ? Math.max(0, this.plugin.now() - msg.startAt) : 0
+    this.log('started', msg, (msg.command || msg.event || '') + (this.runLate > 0 ? ' (' + Math.round(this.runLate) + ' ms late, skipping forward)' : ''))
+    const mode = (this.getField('animationMode') || 'Reactive').trim()
+    if (mode === 'Reactive') {
+      await this.handleReactive(msg)
+    } else if (mode === 'Transition') {
+      const transMode = (this.getField('transitionMode') || 'Cycle').trim()
+      if (transMode === 'Cycle') {
+        await this.handleTransitionCycle(msg)
+      } else {
+        await this.handleTransitionMapping(msg)
+      }
+    } else {
+      this.endTransition(this.runToken)
+    }
+  }
+
+  /** Returns how long to wait for a step of the given duration, using up as much of the run's lateness as it can. */
+  catchUp(duration) {
+    const skip = Math.min(this.runLate || 0, duration)
+    this.runLate -= skip
+    return duration - skip
+  }
+
+  /** Ends the given run and lets the next pending trigger (if any) start once the cooldown has elapsed. */
+  endTransition(token) {
+    if (token !== this.runToken) return
+    this.processingTransition = false
+    if (this.runCommitted) this.completeTransition(this.currentActionID, this.currentEventID)
+    this.scheduleDrain()
+    this.scheduleAutoRevert()
+  }
+
+  /** Returns the state Auto-Revert returns to: the first static state (Cycle) or the Initial State (Mapping). */
+  getInitialState() {
+    if (this.isCycleMode()) return this.staticStates && this.staticStates[0]
+    if (this.isMappingMode()) return this.stateMachine && this.stateMachine.initial
+    return null
+  }
+
+  /**
+   * Starts the Auto-Revert countdown when a Transition mode receiver comes to rest away from its initial state.
+   * The time is counted from the last trigger (or from loading, before any), which late joiners receive in the
+   * snapshot. When it is up, the reset is claimed like a proximity trigger, and the winner sends it to every
+   * client (see sendRevert). Its eventID is derived from the state version. In Mapping mode each reset takes one
+   * step back (see getRevertStep) and the next one follows when it ends.
+   */
+  scheduleAutoRevert() {
+    clearTimeout(this.revertTimer)
+    this.revertTimer = null
+    const seconds = parseFloat(this.getField('autoRevert')) || 0
+    const delay = Math.max(0, (this.lastTriggerTime || this.loadedAt) + seconds * 1000 - Date.now())
+    const initial = this.getInitialState()
+    if (seconds <= 0 || !initial || this.currentState === initial || this.pendingTriggers.length > 0) return
+    this.revertTimer = setTimeout(() => {
+      this.revertTimer = null
+      if (this.processingTransition || this.pendingTriggers.length > 0) return
+      this.plugin.claimTrigger(this, this.getRevertEventID(), 'revert')
+    }, delay)
+  }
+
+  getRevertEventID() {
+    return this.objectID + '@' + this.stateVersion + '#revert'
+  }
+
+  /** Sends the Auto-Revert reset this client claimed to every client, with a start time like a trigger's. */
+  sendRevert(eventID) {
+    this.plugin.messages.send({ action: 'autoRevert', objectID: this.objectID, eventID: eventID, instanceID: this.plugin.instanceID, startAt: this.plugin.now() + START_LEAD }, false)
+  }
+
+  /**
+   * Runs an Auto-Revert reset once per eventID, owned by the client that claimed it. A reset for an older state
+   * version, or one that finds a trigger running or waiting, is dropped: the countdown starts again after it.
+   */
+  async onRevert(msg) {
+    if (!markEventSeen(this.seenEvents, msg.eventID)) return
+    const lead = msg.startAt - this.plugin.now()
+    if (lead > 0) await wait(lead)
+    if (msg.eventID !== this.getRevertEventID() || this.processingTransition || this.pendingTriggers.length > 0) return
+    await this.runTrigger({
+      fromUser: this.userID,
+      action: 'trigger',
+      actionID: '',
+      command: 'reset',
+      eventID: msg.eventID,
+      instanceID: msg.instanceID,
+      startAt: msg.startAt,
+      revert: true
+    }, true)
+  }
+
+  completeTransition(actionID, eventID) {
+    this.runCommitted = false
+    this.plugin.emitEvent('transitionComplete', { objectID: this.objectID, state: this.currentState, actionID: actionID, eventID: eventID })
+  }
+
+  scheduleDrain() {
+    if (this.drainTimer || this.processingTransition || this.pendingTriggers.length === 0) return
+    const cooldown = (parseFloat(this.getField('cooldown')) || 1) * 1000
+    this.drainTimer = setTimeout(() => {
+      this.drainTimer = null
+      if (this.processingTransition || this.pendingTriggers.length === 0) return
+      this.runTrigger(this.pendingTriggers.shift())
+    }, Math.max(0, this.lastTriggerTime + cooldown - Date.now()))
+  }
+
+  /** Cuts the running transition: the run is abandoned, its audio stops and relayed audio is stopped too. */
+  interrupt() {
+    this.runToken++
+    clearTimeout(this.revertTimer)
+    this.revertTimer = null
+    this.pendingTriggers = []
+    if (this.drainTimer) {
+      clearTimeout(this.drainTimer)
+      this.drainTimer = null
+    }
+    if (this.inFlightTimer) {
+      clearTimeout(this.inFlightTimer)
+      this.inFlightTimer = null
+    }
+    this.inFlight = null
+    this.processingTransition = false
+    this.stopSounds()
+  }
+
+  /** Stops the transition sounds of the current run, here and on secondary outputs. The state loop keeps playing. */
+  stopSounds() {
+    this.audioPlayer.stopChannel('oneshot', 0)
+    this.relay({ action: 'stopRelay', sourceID: this.objectID, relayID: this.currentEventID && this.currentEventID + '>' + this.objectID + '#stop' })
+  }
+
+  /**
+   * Loads the object's animations once per model (onObjectUpdated drops them when the model changes). An empty
+   * or failed result is not kept, so the next lookup tries again.
+   */
+  async loadAnimations() {
+    if (this.animationList) return this.animationList
+    try {
+      const data = await this.plugin.objects.getAnimations(this.objectID)
+      const list = typeof data === 'string' ? JSON.parse(data) : data
+      if (Array.isArray(list) && list.length > 0) this.animationList = list
+    } catch (e) { }
+    return this.animationList || []
+  }
+
+  /** Finds an animation in the loaded catalog by its exact name, then ignoring case. */
+  findAnimation(name) {
+    const list = this.animationList || []
+    const lower = String(name).toLowerCase()
+    return list.find(a => a.name === name) || list.find(a => String(a.name).toLowerCase() === lower) || null
+  }
+
+  /** Returns the { duration, speed } override for an animation from Animation Overrides. */
+  getAnimationOverride(name) {
+    const override = this.animationOverrides[name] || {}
+    const speed = parseFloat(override.speed)
+    return { duration: parseFloat(override.duration) || 0, speed: speed > 0 ? speed : 1 }
+  }
+
+  /** Returns the entry for the animation property, with the catalog's spelling of the name and any overridden speed. */
+  getAnimationEntry(name) {
+    const anim = this.findAnimation(name)
+    const entry = { name: anim ? anim.name : name }
+    const override = this.getAnimationOverride(name)
+    if (override.speed !== 1) entry.speed = override.speed
+    return entry
+  }
+
+  /**
+   * Returns how long an animation plays (in milliseconds) at its overridden speed, or its overridden duration.
+   * Returns null if the object has no such animation and no duration is overridden.
+   */
+  async getAnimationDuration(animationName) {
+    const override = this.getAnimationOverride(animationName)
+    if (override.duration > 0) return override.duration * 1000
+    await this.loadAnimations()
+    const anim = this.findAnimation(animationName)
+    return anim ? (anim.duration || 2) * 1000 / override.speed : null
+  }
+
+  /**
+   * Returns how long playing an animation takes, including the property effects listed for it. An animation the
+   * object does not have is reported and counts as 2 seconds, unless it has property effects.
+   */
+  async getStepDuration(animationName) {
+    const effects = this.getPropertyEffects(animationName)
+    const duration = await this.getAnimationDuration(animationName)
+    if (effects.length > 0) return Math.max(duration || 0, getPropertyEffectsDuration(effects))
+    if (duration === null) {
+      this.reportUnknownAnimation(animationName)
+      return 2000
+    }
+    return duration
+  }
+
+  /** Logs once per name that the object has no animation by that name. Link Check lists these names too. */
+  reportUnknownAnimation(name) {
+    if (this.unknownAnimations.has(name)) return
+    this.unknownAnimations.add(name)
+    this.plugin.logEvent({ kind: 'error', component: 'Receiver', objectID: this.objectID, detail: 'The object has no animation named "' + name + '"; it counts as 2 seconds' })
+  }
+
+  /** Returns the property effects listed for an animation or state name in the Property Effects setting. */
+  getPropertyEffects(name) {
+    const effects = name && this.propertyEffects[name]
+    return effects ? [].concat(effects) : []
+  }
+
+  /** Runs property effects side by side. Resolves once all of them have finished or the run was interrupted. */
+  async runPropertyEffects(effects, token) {
+    await Promise.all(effects.map(effect => this.runPropertyEffect(effect, token)))
+  }
+
+  /**
+   * Tweens one property effect on its target object (this receiver's object unless "object" is given). Every
+   * client runs the frames locally; only the client that sent the trigger saves the final values (or, if the run
+   * is interrupted, the values reached so far). A "by" effect is added to the values it started from, which are
+   * saved with the result under the run's eventID, so a client that starts after the result was saved still
+   * arrives at the same values instead of adding "by" again.
+   */
+  async runPropertyEffect(effect, token) {
+    if (!effect || !effect.type) return
+    const key = (this.currentEventID || '') + '#' + this.effectCount++
+    await wait((parseFloat(effect.delay) || 0) * 1000)
+    if (token !== this.runToken) return
+    const target = effect.object || this.objectID
+    const current = (await this.plugin.objects.get(target)) || {}
+    const bases = current.effectBases || {}
+    const { from, to } = resolvePropertyEffect(effect, { ...current, ...bases[key] })
+    if (Object.keys(to).length === 0) return
+    const duration = (parseFloat(effect.duration) || 0) * 1000
+    const ease = EASINGS[effect.easing] || EASINGS['linear']
+    const start = Date.now()
+    while (true) {
+      const t = duration > 0 ? Math.min(1, (Date.now() - start) / duration) : 1
+      const props = interpolateProps(from, to, ease(t))
+      if (t >= 1 || token !== this.runToken) {
+        if (!this.runOwned) {
+          await this.plugin.objects.update(target, props, true)
+          return
+        }
+        if (typeof effect.by !== 'undefined') props.effectBases = { ...getRunEntries(bases, this.currentEventID), [key]: from }
+        await this.plugin.objects.update(target, { ...props, dateModified: Date.now() }, false)
+        return
+      }
+      await this.plugin.objects.update(target, props, true)
+      await wait(TWEEN_STEP)
+    }
+  }
+
+  async handleReactive(msg) {
+    const token = this.runToken
+    const command = parseCommand(msg.command)
+    const defaultAnimation = this.getField('defaultAnimation')
+    // reset and goto settle on an animation right away instead of playing a reaction.
+    if (command && (command.name === 'reset' || (command.name === 'goto' && command.arg))) {
+      const state = command.name === 'reset' ? defaultAnimation : command.arg
+      await this.saveStep({
+        animation: [this.getAnimationEntry(state)],
+        ...this.commitState(state)
+      })
+      this.runPropertyEffects(this.getPropertyEffects(state), token)
+      this.endTransition(token)
+      return
+    }
+    const reactiveAnimation = command && command.name === 'play' && command.arg ? command.arg : this.pickRandom(msg, parseList(this.getField('reactiveAnimation')), parseList(this.getField('reactiveWeights')))
+    const duration = await this.getStepDuration(reactiveAnimation)
+    await this.saveStep({
+      animation: [this.getAnimationEntry(reactiveAnimation)],
+      currentState: reactiveAnimation,
+      ...this.beginTransition(defaultAnimation, duration)
+    })
+    this.runPropertyEffects(this.getPropertyEffects(reactiveAnimation), token)
+    this.playTransitionSound(reactiveAnimation, duration)
+    setTimeout(async () => {
+      if (token !== this.runToken) return
+      await this.saveStep({
+        animation: [this.getAnimationEntry(defaultAnimation)],
+        ...this.commitState(defaultAnimation)
+      })
+      this.runPropertyEffects(this.getPropertyEffects(defaultAnimation), token)
+      setTimeout(() => {
+        this.endTransition(token)
+      }, (parseFloat(this.getField('cooldown')) || 1) * 1000)
+    }, this.catchUp(duration))
+  }
+
+  /**
+   * Moves through the static states. Without a command (or with toggle) the receiver moves as its Cycle Policy
+   * says: Ping-Pong and One-Way move one step, Loop wraps from the last state to the first, and Random-Next
+   * walks to another state picked at random. next and previous move one step in that direction (next wraps
+   * in Loop), while goto and reset walk step by step to the target state. play runs an animation once and
+   * returns to the current state.
+   */
+  async handleTransitionCycle(msg) {
+    const token = this.runToken
+    if (!this.staticStates || this.staticStates.length === 0) {
+      let defaultStates = 'static01, static02, static03'
+      this.staticStates = defaultStates.split(',').map(s => s.trim())
+      this.currentIndex = 0
+      this.currentState = this.staticStates[0]
+      this.currentDirection = 1
+    }
+    const command = parseCommand(msg.command)
+    const name = command ? command.name : 'toggle'
+    if (name === 'play') {
+      await this.playOnce(command.arg, this.staticStates[this.currentIndex], token)
+      this.endTransition(token)
+      return
+    }
+    const policy = (this.getField('cyclePolicy') || 'Ping-Pong').trim()
+    const last = this.staticStates.length - 1
+    let target
+    if ((name === 'toggle' || name === 'next') && policy === 'Loop' && this.currentIndex >= last && last > 0) {
+      const wrapTransition = (this.getField('wrapTransition') || '').trim()
+      if (wrapTransition) {
+        this.currentDirection = 1
+        if (await this.playCycleStep(0, token, wrapTransition)) this.endTransition(token)
+        return
+      }
+      target = 0
+    } else if (name === 'goto') {
+      target = this.staticStates.indexOf(command.arg)
+    } else if (name === 'index') {
+      target = Math.min(Math.max(parseInt(command.arg) || 0, 0), this.staticStates.length - 1)
+    } else if (name === 'reset') {
+      target = 0
+    } else if (name === 'next') {
+      target = this.currentIndex + 1
+    } else if (name === 'previous') {
+      target = this.currentIndex - 1
+    } else if (policy === 'Loop' || policy === 'One-Way') {
+      target = this.currentIndex + 1
+    } else if (policy === 'Random-Next') {
+      target = this.staticStates.indexOf(this.pickRandom(msg, this.staticStates.filter((state, i) => i !== this.currentIndex)))
+    } else {
+      if (this.currentIndex >= last) {
+        this.currentDirection = -1
+      } else if (this.currentIndex <= 0) {
+        this.currentDirection = 1
+      }
+      target = this.currentIndex + this.currentDirection
+    }
+    if (target < 0 || target >= this.staticStates.length || target === this.currentIndex) {
+      this.log('ignored', msg, target === this.currentIndex ? 'Already in state "' + this.currentState + '"' : 'No static state to move to from "' + this.currentState + '"')
+      this.endTransition(token)
+      return
+    }
+    this.currentDirection = target > this.currentIndex ? 1 : -1
+    while (this.currentIndex !== target) {
+      if (!await this.playCycleStep(this.currentIndex + this.currentDirection, token)) return
+    }
+    this.endTransition(token)
+  }
+
+  /**
+   * Plays the forward or reverse transition (or the given animation) into the next static state and settles
+   * there. Returns false if the run was interrupted before it settled.
+   */
+  async playCycleStep(nextIndex, token, animation) {
+    const transitionAnim = animation || (this.currentDirection === 1
+      ? this.forwardTransitions[this.currentIndex] || this.forwardTransitions[0] || 'transition01'
+      : this.reverseTransitions[nextIndex] || this.reverseTransitions[0] || 'return01')
+    const duration = await this.getStepDuration(transitionAnim)
+    await this.saveStep({ animation: [this.getAnimationEntry(transitionAnim)], ...this.beginTransition(this.staticStates[nextIndex], duration) })
+    this.runPropertyEffects(this.getPropertyEffects(transitionAnim), token)
+    this.playTransitionSound(transitionAnim, duration)
+    await wait(this.catchUp(duration))
+    if (token !== this.runToken) return false
+    this.currentIndex = nextIndex
+    await this.saveStep({
+      animation: [this.getAnimationEntry(this.staticStates[nextIndex])],
+      ...this.commitState(this.staticStates[nextIndex]),
+      currentDirection: this.currentDirection
+    })
+    this.runPropertyEffects(this.getPropertyEffects(this.staticStates[nextIndex]), token)
+    return true
+  }
+
+  /**
+   * Runs the state machine: picks the first transition out of the current state whose key matches the
+   * message's event name or ActionID (unkeyed and "*" transitions match any message) and whose guard
+   * passes, then plays the exit effect, the transition, and the target state's enter effect in order.
+   *
+   * goto, reset and previous target a state directly (the Initial State for reset, the state before the
+   * last transition for previous). A transition leading there is played if one exists, otherwise the
+   * receiver jumps with only the exit and enter effects. play runs an animation once.
+   */
+  async handleTransitionMapping(msg) {
+    const token = this.runToken
+    const machine = this.stateMachine
+    const from = machine && machine.states[this.currentState]
+    if (!from) {
+      this.log('ignored', msg, 'Current state "' + this.currentState + '" is not in the Transition Mapping')
+      this.endTransition(token)
+      return
+    }
+    const command = parseCommand(msg.command)
+    if (command && command.name === 'play') {
+      await this.playOnce(command.arg, from.animation, token)
+      this.endTransition(token)
+      return
+    }
+    let targetState = null
+    if (command && command.name === 'goto') targetState = command.arg
+    if (command && command.name === 'reset') targetState = msg.revert ? this.getRevertStep() : machine.initial
+    if (command && command.name === 'previous') targetState = this.previousState
+    if (command && ['goto', 'reset', 'previous'].includes(command.name) && !targetState) {
+      this.log('ignored', msg, 'No target state for ' + command.name)
+      this.endTransition(token)
+      return
+    }
+
+    let transition = null
+    for (const t of from.transitions) {
+      const matches = targetState
+        ? (t.choices || [t.to]).includes(targetState)
+        : !t.on || t.on === '*' || t.on === msg.event || t.on === msg.actionID
+      if (matches && await this.checkGuard(t.guard)) {
+        transition = t
+        break
+      }
+    }
+    if (!transition && targetState && targetState !== this.currentState && machine.states[targetState]) {
+      transition = { to: targetState, jump: true }
+    }
+    if (!transition) {
+      this.log('ignored', msg, 'No transition from "' + this.currentState + '" matches (or its guard failed)')
+      this.endTransition(token)
+      return
+    }
+    const target = targetState || (transition.choices ? this.pickRandom(msg, transition.choices, transition.weights) : transition.to)
+    const to = machine.states[target]
+    const effects = [[from.onExit], [{ animation: transition.animation, sound: transition.sound, effects: transition.effects }, !transition.jump], [to.onEnter]]
+    let total = 0
+    for (const [effect, useDefaultSound] of effects) {
+      total += await this.getEffectDuration(effect, useDefaultSound)
+    }
+    await this.saveStep(this.beginTransition(target, total))
+    for (const [effect, useDefaultSound] of effects) {
+      await this.playStateEffect(effect, useDefaultSound)
+      if (token !== this.runToken) return
+    }
+    await this.saveStep({
+      animation: [this.getAnimationEntry(to.animation)],
+      ...this.commitState(target)
+    })
+    this.runPropertyEffects(this.getPropertyEffects(to.animation), token)
+    this.endTransition(token)
+  }
+
+  /**
+   * Returns the next state on the way back to the Initial State for Auto-Revert: the first step of the shortest
+   * path of mapping transitions (reverse transitions, typically) from the current state. Returns the Initial State
+   * itself if no transitions lead there, in which case the receiver jumps to it.
+   */
+  getRevertStep() {
+    const machine = this.stateMachine
+    const cameFrom = new Map([[this.currentState, null]])
+    const queue = [this.currentState]
+    while (queue.length > 0 && !cameFrom.has(machine.initial)) {
+      const state = queue.shift()
+      for (const t of machine.states[state] ? machine.states[state].transitions : []) {
+        for (const next of t.choices || [t.to]) {
+          if (cameFrom.has(next) || !machine.states[next]) continue
+          cameFrom.set(next, state)
+          queue.push(next)
+        }
+      }
+    }
+    if (!cameFrom.has(machine.initial)) return machine.initial
+    let step = machine.initial
+    while (cameFrom.get(step) !== this.currentState) step = cameFrom.get(step)
+    return step
+  }
+
+  /**
+   * Picks one entry of a list in proportion to the weights. The roll is derived from the trigger's eventID, which
+   * the sending client made up at random and sent to everyone, so every client picks the same entry. With a
+   * Random Seed it is derived from the seed and the state version instead, so the picks follow the same sequence.
+   */
+  pickRandom(msg, list, weights) {
+    if (list.length < 2) return list[0]
+    const seed = this.getField('randomSeed')
+    const roll = hashRoll(seed ? seed + '#' + this.stateVersion : (this.currentEventID || '') + '>' + this.objectID)
+    const value = pickWeighted(list, weights, roll)
+    this.log('picked', msg, '"' + value + '" out of ' + list.join(', '))
+    return value
+  }
+
+  /** Plays an animation once (with the receiver's sound) and then returns to the given idle animation. */
+  async playOnce(animation, idleAnimation, token) {
+    if (!animation) return
+    const duration = await this.getStepDuration(animation)
+    await this.saveStep({ animation: [this.getAnimationEntry(animation)] })
+    this.runPropertyEffects(this.getPropertyEffects(animation), token)
+    this.playTransitionSound(animation, duration)
+    await wait(this.catchUp(duration))
+    if (token !== this.runToken) return
+    await this.saveStep({ animation: [this.getAnimationEntry(idleAnimation)] })
+    this.runPropertyEffects(this.getPropertyEffects(idleAnimation), token)
+  }
+
+  /**
+   * Plays the sound for a transition animation: the given sound (from a mapping transition) if any, else the
+   * animation's entry in Transition Sounds, else the receiver's Sound setting.
+   */
+  playTransitionSound(animation, duration, sound) {
+    this.emitSound(sound || this.transitionSounds[animation] || this.getField('sound'), duration)
+  }
+
+  /** Returns the Volume and Sound Delay settings as the defaults for parseSoundSpec. */
+  getSoundDefaults() {
+    const volume = parseFloat(this.getField('volume'))
+    return { volume: isNaN(volume) ? 1 : volume, delay: parseFloat(this.getField('soundDelay')) || 0 }
+  }
+
+  /**
+   * Picks a file from a list of variations. Random picks are derived from the trigger's eventID and Round-Robin
+   * from the state version, so every client picks the same file.
+   */
+  pickSoundFile(files, n) {
+    if (files.length === 1) return files[0]
+    const index = (this.getField('soundVariation') || 'Random').trim() === 'Round-Robin'
+      ? this.stateVersion + n
+      : hashString((this.currentEventID || '') + '#' + n)
+    return files[index % files.length]
+  }
+
+  /**
+   * Plays a sound setting (see parseSoundSpec) until the transition's duration is up: locally unless local audio
+   * is disabled, and relayed to secondary outputs either way. The relay ID is derived from the trigger's eventID,
+   * so secondaries play it once however many clients handled the trigger. A run that is late shortens the
+   * sound's delay, or starts it at once, so that it still ends with the transition. The relay carries the
+   * sound's start in shared time.
+   */
+  emitSound(value, duration) {
+    const spec = parseSoundSpec(value, this.getSoundDefaults())
+    const n = this.soundCount++
+    const late = Math.min(this.runLate || 0, duration)
+    if (!spec || Math.max(spec.delay, late) >= duration) return
+    const delay = Math.max(0, spec.delay - late)
+    const options = {
+      file: this.pickSoundFile(spec.files, n),
+      volume: spec.volume,
+      delay: delay,
+      duration: duration - late - delay,
+      fadeIn: (parseFloat(this.getField('fadeIn')) || 0) * 1000,
+      fadeOut: (parseFloat(this.getField('fadeOut')) || 0) * 1000
+    }
+    if (!this.disableLocalAudio) this.audioPlayer.play(options)
+    this.relay({
+      action: 'relaySound',
+      sourceID: this.objectID,
+      relayID: (this.currentEventID || createEventID(this.plugin.instanceID)) + '>' + this.objectID + '#' + n,
+      soundFile: options.file,
+      volume: options.volume,
+      delay: options.delay,
+      startAt: this.plugin.now() + options.delay,
+      duration: options.duration,
+      fadeIn: options.fadeIn,
+      fadeOut: options.fadeOut
+    })
+  }
+
+  /**
+   * Starts the current state's loop from State Loops, crossfading from the previous state's loop. A state with
+   * the same loop as the previous one keeps it playing. Secondary outputs follow the relayed state version.
+   */
+  updateStateLoop() {
+    const spec = parseSoundSpec(this.stateLoops[this.currentState], this.getSoundDefaults())
+    const file = spec ? spec.files[0] : ''
+    const key = spec ? file + '@' + spec.volume : ''
+    if (key === this.loopKey) return
+    this.loopKey = key
+    const crossfade = Math.max(0, parseFloat(this.getField('crossfade')) || 0) * 1000
+    this.audioPlayer.stopChannel('loop', crossfade)
+    if (spec && !this.disableLocalAudio) {
+      this.audioPlayer.play({ file: file, volume: spec.volume, fadeIn: crossfade, loop: true, channel: 'loop' })
+    }
+    this.relay({ action: 'relayLoop', sourceID: this.objectID, version: this.stateVersion, soundFile: file, volume: spec ? spec.volume : 0, crossfade: crossfade })
+  }
+
+  /** Sends a relay message, tagged with this receiver's ActionID, to secondary outputs on other clients and on this one. */
+  relay(msg) {
+    msg.actionID = this.getField('actionID') || ''
+    this.plugin.messages.send(msg, false)
+    this.plugin.secondaryComponents.forEach(comp => comp.sendMessage(msg, true))
+  }
+
+  /**
+   * Checks a transition guard such as { "object": "<objectID>", "state": "open" } or { "object": "<objectID>", "notState": "open" }.
+   * An array of guards passes only if all of them pass.
+   */
+  async checkGuard(guard) {
+    if (!guard) return true
+    if (Array.isArray(guard)) {
+      for (const g of guard) {
+        if (!await this.checkGuard(g)) return false
+      }
+      return true
+    }
+    if (!guard.object) return true
+    const comp = this.plugin.receiverComponents.find(c => c.objectID === guard.object)
+    let state = comp && comp.currentState
+    if (!comp) {
+      const props = await this.plugin.objects.get(guard.object)
+      state = props && props.currentState
+    }
+    const states = [].concat(guard.state || [])
+    const notStates = [].concat(guard.notState || [])
+    if (states.length > 0 && !states.includes(state)) return false
+    return !notStates.includes(state)
+  }
+
+  async getEffectDuration(effect, useDefaultSound) {
+    if (!effect || (!effect.animation && !effect.sound && !effect.effects && !useDefaultSound)) return 0
+    const duration = effect.animation ? await this.getStepDuration(effect.animation) : (parseFloat(effect.duration) || 0) * 1000
+    return Math.max(duration, getPropertyEffectsDuration([].concat(effect.effects || [])))
+  }
+
+  /**
+   * Plays an { animation, sound, effects } effect and waits for it to finish. With useDefaultSound, an effect
+   * without its own sound plays the receiver's Sound setting. Its property effects run alongside the ones
+   * listed for its animation.
+   */
+  async playStateEffect(effect, useDefaultSound) {
+    if (!effect || (!effect.animation && !effect.sound && !effect.effects && !useDefaultSound)) return
+    const duration = await this.getEffectDuration(effect, useDefaultSound)
+    if (effect.animation) {
+      await this.saveStep({ animation: [this.getAnimationEntry(effect.animation)] })
+    }
+    this.runPropertyEffects(this.getPropertyEffects(effect.animation).concat(effect.effects || []), this.runToken)
+    if (effect.sound) {
+      this.emitSound(effect.sound, duration)
+    } else if (useDefaultSound) {
+      this.playTransitionSound(effect.animation, duration)
+    }
+    await wait(this.catchUp(duration))
+  }
+}
+
+/**
  * Asset Link Secondary Audio Output Component
  *
- * This component listens for "relaySound" messages and, if the message's sourceID matches
- * the specified Source Object ID in its settings, it plays the sound from its own location.
+ * This component listens for "relaySound" and "relayLoop" messages and, if the message comes from one of
+ * its Source Object IDs or Source ActionIDs, it plays the sound from its own location with the source's
+ * delay, fades and crossfades, mixed by its own volume, delay offset and voice limit.
+ *
+ * Outputs in the same Surround Group split each relay between them. Every client orders the group's
+ * members by object ID, so all users hear a sound from the same speaker.
  */
 class AssetLinkSecondaryAudioOutput extends BaseComponent {
   async onLoad() {
     this.plugin.secondaryComponents.push(this)
     this.userID = await this.plugin.user.getID()
-    this.sourceID = this.getField('sourceID') || ""
+    this.audioPlayer = new AudioPlayer(this.plugin, this)
+    this.seenRelays = new Map()
+    this.loopVersions = {}
+    this.readSettings()
   }
 
   async onSettingsUpdated() {
-    this.sourceID = this.getField('sourceID') || ""
+    const sourceKey = this.sourceIDs.join(',') + '|' + this.sourceActionIDs.join(',')
+    this.readSettings()
+    if (sourceKey === this.sourceIDs.join(',') + '|' + this.sourceActionIDs.join(',')) return
+    this.audioPlayer.stopAll()
+    this.loopVersions = {}
+  }
+
+  readSettings() {
+    this.sourceIDs = parseList(this.getField('sourceID'))
+    this.sourceActionIDs = parseList(this.getField('sourceActionIDs'))
+    const volume = parseFloat(this.getField('outputVolume'))
+    this.outputVolume = isNaN(volume) ? 1 : volume
+    this.delayOffset = (parseFloat(this.getField('delayOffset')) || 0) * 1000
+    this.voiceLimit = Math.max(0, parseInt(this.getField('voiceLimit')) || 0)
+    this.surroundGroup = (this.getField('surroundGroup') || '').trim()
   }
 
   onUnload() {
@@ -648,24 +3330,747 @@ class AssetLinkSecondaryAudioOutput extends BaseComponent {
     if (index > -1) {
       this.plugin.secondaryComponents.splice(index, 1)
     }
+    this.audioPlayer.stopAll()
+  }
+
+  /** Returns configuration issues for the link validator. */
+  async validate(links) {
+    const issues = []
+    const report = issueReporter(issues, this.objectID, 'Secondary Audio Output')
+    if (this.sourceIDs.length === 0 && this.sourceActionIDs.length === 0) {
+      report('error', 'It has no Source Object ID or Source ActionIDs, so it never plays.', 'Enter the object ID of the receiver whose sound it should relay.')
+    }
+    for (const sourceID of this.sourceIDs) {
+      if (!await this.plugin.objects.get(sourceID)) {
+        report('error', 'Its source object ' + sourceID + ' does not exist.', 'Copy the object ID of the receiver whose sound it should relay.')
+      } else if (!this.plugin.receiverComponents.some(comp => comp.objectID === sourceID)) {
+        report('warning', 'Its source object ' + sourceID + ' has no Asset Link Receiver, so it sends no sound.', 'Add a receiver to that object or choose another source.')
+      }
+    }
+    for (const actionID of this.sourceActionIDs) {
+      if (!this.plugin.receiverComponents.some(comp => comp.listensTo(actionID))) {
+        report('warning', 'No receiver listens for its Source ActionID "' + actionID + '".', 'Use the ActionID of an existing receiver.')
+      }
+    }
+    return issues
+  }
+
+  /** Returns true if this output relays sound from the message's source object or ActionID. */
+  listensTo(msg) {
+    return this.sourceIDs.includes(msg.sourceID) || (!!msg.actionID && this.sourceActionIDs.includes(msg.actionID))
+  }
+
+  /** Returns the outputs in this output's surround group that relay the message, ordered by object ID. */
+  getGroupMembers(msg) {
+    if (!this.surroundGroup) return [this]
+    return this.plugin.secondaryComponents
+      .filter(comp => comp.surroundGroup === this.surroundGroup && comp.listensTo(msg))
+      .sort((a, b) => a.objectID < b.objectID ? -1 : a.objectID > b.objectID ? 1 : 0)
   }
 
   async onMessage(msg) {
+    if (!this.listensTo(msg)) return
     if (msg.action === 'relaySound') {
-      if (msg.sourceID === this.sourceID) {
-        const volume = msg.volume || 1
-        const duration = msg.duration || 2000
-        const soundFile = msg.soundFile
-        this.audioID = await this.plugin.audio.play(this.plugin.paths.absolute(soundFile), {
-          volume: volume,
-          x: this.fields.x,
-          y: this.fields.y,
-          height: this.fields.height
+      // Every client that handled the trigger relays its sounds; play each one once.
+      if (!msg.soundFile || !markEventSeen(this.seenRelays, msg.relayID)) return
+      const members = this.getGroupMembers(msg)
+      if (members.length > 1 && members[hashString(msg.relayID || msg.soundFile) % members.length] !== this) return
+      // A relay with a start time (in shared time) starts then, or skips forward by the time it arrived late.
+      const start = typeof msg.startAt === 'number' ? msg.startAt - this.plugin.now() : msg.delay || 0
+      const duration = (msg.duration || 2000) - Math.max(0, -start)
+      if (duration <= 0) return
+      this.makeRoom()
+      this.plugin.logEvent({ kind: 'relay', component: 'Secondary', objectID: this.objectID, actionID: msg.actionID, detail: msg.soundFile + ' from ' + msg.sourceID })
+      this.audioPlayer.play({
+        file: msg.soundFile,
+        volume: (typeof msg.volume === 'number' ? msg.volume : 1) * this.outputVolume,
+        delay: Math.max(0, start) + this.delayOffset,
+        duration: duration,
+        fadeIn: msg.fadeIn || 0,
+        fadeOut: msg.fadeOut || 0,
+        channel: 'oneshot:' + msg.sourceID
+      })
+    } else if (msg.action === 'relayLoop') {
+      // Only a newer state version of the source changes its loop.
+      if (!(msg.version > (msg.sourceID in this.loopVersions ? this.loopVersions[msg.sourceID] : -1))) return
+      this.loopVersions[msg.sourceID] = msg.version
+      this.audioPlayer.stopChannel('loop:' + msg.sourceID, msg.crossfade || 0)
+      if (msg.soundFile) {
+        this.audioPlayer.play({
+          file: msg.soundFile,
+          volume: msg.volume * this.outputVolume / this.getGroupMembers(msg).length,
+          delay: this.delayOffset,
+          fadeIn: msg.crossfade || 0,
+          loop: true,
+          channel: 'loop:' + msg.sourceID
         })
-        setTimeout(() => {
-          this.plugin.audio.stop(this.audioID)
-        }, duration)
       }
+    } else if (msg.action === 'stopRelay') {
+      // The source receiver was interrupted.
+      if (!markEventSeen(this.seenRelays, msg.relayID)) return
+      this.audioPlayer.stopChannel('oneshot:' + msg.sourceID, 0)
+    }
+  }
+
+  /** Cuts the oldest relayed sounds so that a new one stays within the Voice Limit. State loops are not counted. */
+  makeRoom() {
+    if (!this.voiceLimit) return
+    const voices = this.audioPlayer.voices.filter(v => v.channel.startsWith('oneshot:'))
+    voices.slice(0, Math.max(0, voices.length - this.voiceLimit + 1)).forEach(v => {
+      this.plugin.logEvent({ kind: 'relay', component: 'Secondary', objectID: this.objectID, detail: 'Voice Limit cut the oldest sound' })
+      this.audioPlayer.stopVoice(v, 0)
+    })
+  }
+}
+
+/**
+ * Logic Component
+ *
+ * Listens for several input ActionIDs and emits its output ActionID through the regular
+ * trigger message path once the selected operator is satisfied. The latched state and
+ * sequence progress are saved to the asset's properties like the receiver's currentState.
+ */
+class LogicComponent extends BaseComponent {
+  async onLoad() {
+    this.plugin.logicComponents.push(this)
+    this.userID = await this.plugin.user.getID()
+    this.inputTimes = {}
+    this.inhibitTimes = {}
+    this.lastSequenceTime = 0
+
+    const props = await this.plugin.objects.get(this.objectID)
+    this.latched = !!(props && props.logicLatched)
+    this.sequenceIndex = (props && props.logicSequenceIndex) || 0
+    this.readSettings()
+  }
+
+  async onSettingsUpdated() {
+    this.readSettings()
+  }
+
+  readSettings() {
+    const operator = (this.getField('operator') || 'AND').trim()
+    const inputs = parseList(this.getField('inputActionIDs'))
+    // Pending inputs no longer make sense once the gate is rewired.
+    if (this.inputs && (operator !== this.operator || inputs.join(',') !== this.inputs.join(','))) {
+      this.inputTimes = {}
+      this.sequenceIndex = 0
+    }
+    this.operator = operator
+    this.inputs = inputs
+    this.inhibits = parseList(this.getField('inhibitActionIDs'))
+  }
+
+  onUnload() {
+    const index = this.plugin.logicComponents.indexOf(this)
+    if (index > -1) {
+      this.plugin.logicComponents.splice(index, 1)
+    }
+  }
+
+  async onClick() { }
+
+  async onMessage(msg) {
+    if (msg.action !== 'trigger' || !msg.actionID) return
+    const resetID = this.getField('resetActionID')
+    if (resetID && msg.actionID === resetID) {
+      this.reset()
+      return
+    }
+    const now = Date.now()
+    if (this.inhibits.includes(msg.actionID)) {
+      this.inhibitTimes[msg.actionID] = now
+    }
+    if (!this.inputs.includes(msg.actionID) || this.latched) return
+    if (this.evaluate(msg.actionID, now)) {
+      await this.fire(msg)
+    }
+  }
+
+  /** Records an input and returns true if the operator's condition is now met. */
+  evaluate(actionID, now) {
+    const windowMs = (parseFloat(this.getField('timeWindow')) || 0) * 1000
+    const isRecent = time => time && (windowMs <= 0 || now - time <= windowMs)
+
+    if (this.operator === 'OR') {
+      return true
+    }
+    if (this.operator === 'NOT') {
+      return !this.inhibits.some(id => isRecent(this.inhibitTimes[id]))
+    }
+    if (this.operator === 'Sequence') {
+      if (this.sequenceIndex > 0 && !isRecent(this.lastSequenceTime)) {
+        this.sequenceIndex = 0
+      }
+      if (actionID === this.inputs[this.sequenceIndex]) {
+        this.sequenceIndex++
+      } else {
+        // A wrong input restarts the sequence, counting itself if it is the first step.
+        this.sequenceIndex = actionID === this.inputs[0] ? 1 : 0
+      }
+      this.lastSequenceTime = now
+      const complete = this.sequenceIndex >= this.inputs.length
+      if (complete) {
+        this.sequenceIndex = 0
+      }
+      this.saveState()
+      return complete
+    }
+
+    this.inputTimes[actionID] = now
+    const fired = this.inputs.filter(id => isRecent(this.inputTimes[id])).length
+    const required = this.operator === 'N-of-M'
+      ? Math.min(parseInt(this.getField('requiredInputs')) || 2, this.inputs.length)
+      : this.inputs.length
+    if (fired >= required) {
+      this.inputTimes = {}
+      return true
+    }
+    return false
+  }
+
+  /**
+   * Passes the output trigger to this client's components. Every client evaluates the gate on the same inputs,
+   * so each creates the output itself; its eventID is derived from the input that completed the condition.
+   */
+  async fire(input) {
+    const outputID = this.getField('outputActionID') || ''
+    if (!outputID) return
+    if (String(this.getField('latch')).toLowerCase() === "true") {
+      this.latched = true
+      this.saveState()
+    }
+    this.plugin.logEvent({ kind: 'fired', component: 'Logic', objectID: this.objectID, actionID: outputID, userID: this.userID, detail: this.operator })
+    this.plugin.dispatchTrigger({
+      action: 'trigger',
+      actionID: outputID,
+      eventID: (input.eventID || createEventID(this.plugin.instanceID)) + '>' + this.objectID,
+      instanceID: input.instanceID || this.plugin.instanceID,
+      userID: this.userID,
+      objectID: this.objectID,
+      startAt: input.startAt,
+      isAdmin: input.isAdmin
+    })
+  }
+
+  reset() {
+    this.inputTimes = {}
+    this.inhibitTimes = {}
+    this.sequenceIndex = 0
+    this.latched = false
+    this.saveState()
+  }
+
+  saveState() {
+    this.plugin.objects.update(this.objectID, {
+      logicLatched: this.latched,
+      logicSequenceIndex: this.sequenceIndex,
+      dateModified: Date.now()
+    }, false)
+  }
+}
+
+/**
+ * Sequencer Component
+ *
+ * Plays a timeline of { at, actionID } steps when its ActionID is triggered. Every step is
+ * dispatched through AssetLink.onMessage on each client that received the start trigger, so
+ * linked receivers and secondary outputs follow the show without extra broadcasts.
+ */
+class SequencerComponent extends BaseComponent {
+  async onLoad() {
+    this.plugin.sequencerComponents.push(this)
+    this.userID = await this.plugin.user.getID()
+    this.timers = []
+    this.status = 'stopped'
+    this.position = 0
+    this.pass = 0
+    this.readSettings()
+  }
+
+  async onSettingsUpdated() {
+    this.readSettings()
+  }
+
+  readSettings() {
+    let steps
+    try {
+      steps = JSON.parse(this.getField('timeline') || '[]')
+    } catch (e) {
+      steps = []
+    }
+    this.steps = (Array.isArray(steps) ? steps : [])
+      .filter(step => step && step.actionID)
+      .map(step => ({ at: Math.max(0, parseFloat(step.at) || 0), actionID: step.actionID, command: step.command }))
+      .sort((a, b) => a.at - b.at)
+  }
+
+  onUnload() {
+    this.clearTimers()
+    const index = this.plugin.sequencerComponents.indexOf(this)
+    if (index > -1) {
+      this.plugin.sequencerComponents.splice(index, 1)
+    }
+  }
+
+  async onClick() { }
+
+  async onMessage(msg) {
+    if (msg.action !== 'trigger' || !msg.actionID) return
+    if (String(this.getField('adminOnly')).toLowerCase() === "true" && !msg.isAdmin) return
+    if (msg.actionID === this.getField('stopActionID')) {
+      this.stop()
+    } else if (msg.actionID === this.getField('pauseActionID')) {
+      this.pause(msg.startAt)
+    } else if (msg.actionID === this.getField('restartActionID')) {
+      this.stop()
+      this.play(msg)
+    } else if (msg.actionID === this.getField('actionID')) {
+      this.play(msg)
+    }
+  }
+
+  /**
+   * Starts the timeline at the trigger's scheduled start (in shared time), or resumes it from the paused
+   * position. A new run keeps the admin flag and the sending client of the trigger that started it for all of
+   * its steps, so the same client saves their property effects throughout.
+   */
+  play(msg) {
+    if (this.status === 'playing') return
+    if (this.status === 'stopped') {
+      this.position = 0
+      this.pass = 0
+      this.runID = msg.eventID || createEventID(this.plugin.instanceID)
+      this.runIsAdmin = !!msg.isAdmin
+      this.runStartedBy = msg.instanceID
+    }
+    this.status = 'playing'
+    this.schedulePass((msg.startAt || this.plugin.now()) - this.position)
+  }
+
+  /**
+   * Pauses the timeline at the trigger's scheduled start (in shared time), so every client stops at the same
+   * position. Steps that start before that moment are still passed on.
+   */
+  pause(startAt) {
+    if (this.status !== 'playing') return
+    const pauseAt = startAt || this.plugin.now()
+    this.position = Math.max(0, pauseAt - this.passStart)
+    this.clearTimers(pauseAt)
+    this.status = 'paused'
+  }
+
+  stop() {
+    this.clearTimers()
+    this.status = 'stopped'
+    this.position = 0
+    this.pass = 0
+  }
+
+  /**
+   * Schedules the remaining steps of the current pass, which starts at passStart in shared time. Each step is
+   * passed on START_LEAD early with its start time, so that every client starts it at the same moment.
+   */
+  schedulePass(passStart) {
+    this.clearTimers()
+    this.passStart = passStart
+    const offset = this.position
+    this.steps.forEach((step, index) => {
+      if (step.at * 1000 < offset) return
+      const eventID = this.runID + '>' + this.objectID + ':' + this.pass + ':' + index
+      const startAt = passStart + step.at * 1000
+      this.timers.push({ at: startAt, id: setTimeout(() => this.emit(step, eventID, startAt), startAt - START_LEAD - this.plugin.now()) })
+    })
+    const passEnd = passStart + this.getPassLength()
+    this.timers.push({ at: passEnd, id: setTimeout(() => this.endPass(), Math.max(0, passEnd - this.plugin.now())) })
+  }
+
+  endPass() {
+    this.pass++
+    this.position = 0
+    const loop = String(this.getField('loop')).toLowerCase() === "true"
+    const repeatCount = parseInt(this.getField('repeatCount')) || 1
+    // An empty pass cannot loop without spinning, so it always finishes.
+    if (this.getPassLength() > 0 && (loop || this.pass < repeatCount)) {
+      this.schedulePass(this.passStart + this.getPassLength())
+    } else {
+      this.stop()
+    }
+  }
+
+  getPassLength() {
+    const passLength = (parseFloat(this.getField('passLength')) || 0) * 1000
+    const lastStep = this.steps.length > 0 ? this.steps[this.steps.length - 1].at * 1000 : 0
+    return Math.max(passLength, lastStep)
+  }
+
+  emit(step, eventID, startAt) {
+    this.plugin.logEvent({ kind: 'fired', component: 'Sequencer', objectID: this.objectID, actionID: step.actionID, userID: this.userID, detail: 'at ' + step.at + 's' })
+    this.plugin.dispatchTrigger({
+      action: 'trigger',
+      actionID: step.actionID,
+      command: step.command,
+      eventID: eventID,
+      instanceID: this.runStartedBy || this.plugin.instanceID,
+      userID: this.userID,
+      objectID: this.objectID,
+      startAt: startAt,
+      isAdmin: this.runIsAdmin
+    })
+  }
+
+  /** Cancels the steps (and the end of the pass) due at or after the given shared time, by default all of them. */
+  clearTimers(from = -Infinity) {
+    this.timers = this.timers.filter(timer => {
+      if (timer.at < from) return true
+      clearTimeout(timer.id)
+      return false
+    })
+  }
+}
+
+/**
+ * Counter Component
+ *
+ * Keeps a number that ActionIDs increment, decrement, set or reset, and triggers ActionIDs when a change
+ * makes it meet a threshold. Every client applies every change, so concurrent increments add up everywhere.
+ * The client that sent a change saves the value with a version (the number of changes), the instance that
+ * wrote it and the eventIDs of the latest changes. Clients settle on the newest saved value, and late joiners
+ * skip the triggers already counted in it.
+ */
+class CounterComponent extends BaseComponent {
+  async onLoad() {
+    this.plugin.counterComponents.push(this)
+    this.userID = await this.plugin.user.getID()
+    this.seenEvents = new Map()
+    this.syncTimer = null
+    this.readSettings()
+
+    const props = await this.plugin.objects.get(this.objectID)
+    this.value = props && typeof props.counterValue === 'number' ? props.counterValue : this.initialValue
+    this.version = (props && props.counterVersion) || 0
+    this.owner = (props && props.counterOwner) || ''
+    this.events = (props && props.counterEvents) || []
+    this.events.forEach(eventID => markEventSeen(this.seenEvents, eventID))
+  }
+
+  async onSettingsUpdated() {
+    this.readSettings()
+  }
+
+  readSettings() {
+    const parseLimit = value => isNaN(parseFloat(value)) ? null : parseFloat(value)
+    this.initialValue = parseFloat(this.getField('initialValue')) || 0
+    this.minimum = parseLimit(this.getField('minimum'))
+    this.maximum = parseLimit(this.getField('maximum'))
+    this.thresholds = parseJSONArray(this.getField('thresholds')).filter(t => t && t.actionID)
+  }
+
+  onUnload() {
+    if (this.syncTimer) {
+      clearTimeout(this.syncTimer)
+      this.syncTimer = null
+    }
+    const index = this.plugin.counterComponents.indexOf(this)
+    if (index > -1) {
+      this.plugin.counterComponents.splice(index, 1)
+    }
+  }
+
+  async onClick() { }
+
+  /** Returns the ActionIDs that change the value. */
+  getInputActionIDs() {
+    return parseList(this.getField('incrementActionIDs'))
+      .concat(parseList(this.getField('decrementActionIDs')), parseList(this.getField('setActionID')), parseList(this.getField('resetActionID')))
+  }
+
+  /** Returns the ActionIDs this counter triggers. */
+  getOutputActionIDs() {
+    return (this.thresholds || []).map(t => t.actionID).concat(parseList(this.getField('stateActionID')))
+  }
+
+  async validate(links) {
+    const issues = []
+    const report = issueReporter(issues, this.objectID, 'Counter')
+    const inputs = this.getInputActionIDs()
+    if (inputs.length === 0) {
+      report('error', 'It has no Increment, Decrement, Set or Reset ActionIDs, so its value never changes.', 'Enter the ActionIDs that should change the value.')
+    }
+    for (const actionID of inputs) {
+      if (!links.sent.has(actionID)) {
+        report('warning', 'Nothing sends its ActionID "' + actionID + '".', 'Use the ActionID of an existing trigger, logic gate or sequencer step.')
+      }
+    }
+    const thresholdsError = getJSONError(this.getField('thresholds'))
+    if (thresholdsError) {
+      report('error', 'Its Thresholds are not valid JSON (' + thresholdsError + ').', 'Enter a JSON array such as [{"equals": 5, "actionID": "open-vault"}].')
+    }
+    for (const threshold of this.thresholds) {
+      if (!['equals', 'atLeast', 'modulo'].some(key => typeof threshold[key] === 'number')) {
+        report('warning', 'Its threshold for "' + threshold.actionID + '" has no condition, so it never fires.', 'Add "equals", "atLeast" or "modulo" with a number.')
+      }
+    }
+    for (const actionID of this.getOutputActionIDs()) {
+      if (!links.isHeard(actionID)) {
+        report('warning', 'Nothing listens for its ActionID "' + actionID + '".', 'Use the ActionID of an existing receiver, logic gate, sequencer or counter.')
+      }
+    }
+    const stateActionID = this.getField('stateActionID')
+    if (stateActionID && this.plugin.receiverComponents.some(comp => comp.listensTo(stateActionID)) &&
+      !this.plugin.receiverComponents.some(comp => comp.listensTo(stateActionID) && comp.isCycleMode())) {
+      report('warning', 'No receiver in Cycle mode listens for its State ActionID "' + stateActionID + '".', 'Set the receiver to Transition mode with the Cycle transition mode.')
+    }
+    if (this.minimum !== null && this.maximum !== null && this.minimum > this.maximum) {
+      report('error', 'Its Minimum is greater than its Maximum.', 'Swap the two limits.')
+    }
+    return issues
+  }
+
+  async onMessage(msg) {
+    if (msg.action !== 'trigger' || !msg.actionID) return
+    if (String(this.getField('adminOnly')).toLowerCase() === "true" && !msg.isAdmin) return
+    let value
+    if (parseList(this.getField('resetActionID')).includes(msg.actionID)) {
+      value = this.initialValue
+    } else if (parseList(this.getField('setActionID')).includes(msg.actionID)) {
+      value = parseFloat(this.getField('setValue')) || 0
+    } else if (parseList(this.getField('incrementActionIDs')).includes(msg.actionID)) {
+      value = this.value + (parseFloat(this.getField('step')) || 1)
+    } else if (parseList(this.getField('decrementActionIDs')).includes(msg.actionID)) {
+      value = this.value - (parseFloat(this.getField('step')) || 1)
+    } else {
+      return
+    }
+    // A change that is already part of the saved value is not counted again.
+    if (!markEventSeen(this.seenEvents, msg.eventID)) return
+    if (this.minimum !== null) value = Math.max(this.minimum, value)
+    if (this.maximum !== null) value = Math.min(this.maximum, value)
+
+    const previous = this.value
+    this.value = value
+    this.version++
+    this.owner = this.plugin.instanceID
+    this.events = this.events.concat(msg.eventID || []).slice(-COUNTER_EVENTS)
+    this.plugin.logEvent({ kind: 'counter', component: 'Counter', objectID: this.objectID, actionID: msg.actionID, userID: msg.fromUser, detail: (this.getField('variableName') || 'count') + ' = ' + value })
+    if (msg.instanceID === this.plugin.instanceID) this.save()
+    // Saves of concurrent changes may arrive in any order, so the saved value is checked once they settle.
+    this.scheduleSync()
+    this.emitChange(previous, msg)
+  }
+
+  /**
+   * Triggers the thresholds the change meets and moves the State ActionID's receivers to the value's static
+   * state. Outputs are passed to this client only: every client applies the change and triggers them itself.
+   */
+  emitChange(previous, input) {
+    if (this.value === previous) return
+    const eventID = input.eventID || createEventID(this.plugin.instanceID)
+    this.thresholds.forEach((threshold, index) => {
+      if (crossesThreshold(threshold, previous, this.value)) {
+        this.emit(threshold.actionID, undefined, eventID + '>' + this.objectID + ':' + index, input)
+      }
+    })
+    const stateActionID = this.getField('stateActionID')
+    if (stateActionID) this.emit(stateActionID, 'index:' + this.value, eventID + '>' + this.objectID + ':state', input)
+  }
+
+  /** Passes an output trigger to this client's components, starting at the same time as the input that caused it. */
+  emit(actionID, command, eventID, input) {
+    this.plugin.logEvent({ kind: 'fired', component: 'Counter', objectID: this.objectID, actionID: actionID, userID: this.userID, detail: (this.getField('variableName') || 'count') + ' = ' + this.value })
+    this.plugin.dispatchTrigger({
+      action: 'trigger',
+      actionID: actionID,
+      command: command,
+      eventID: eventID,
+      instanceID: input.instanceID || this.plugin.instanceID,
+      userID: this.userID,
+      objectID: this.objectID,
+      startAt: input.startAt,
+      isAdmin: input.isAdmin
+    })
+  }
+
+  onObjectUpdated() {
+    if (typeof this.fields.counterValue !== 'number') return
+    if ((this.fields.counterVersion || 0) !== this.version || this.fields.counterValue !== this.value) this.scheduleSync()
+  }
+
+  /**
+   * Compares the saved value with this client's once the triggers in flight have arrived (after
+   * COUNTER_SYNC_DELAY). A newer saved value (higher version, ties broken by the writing instance) is adopted,
+   * for instance when this client missed a trigger; one that is behind is rewritten.
+   */
+  scheduleSync() {
+    if (this.syncTimer) return
+    this.syncTimer = setTimeout(async () => {
+      this.syncTimer = null
+      const props = await this.plugin.objects.get(this.objectID)
+      if (!props || typeof props.counterValue !== 'number') return
+      const version = props.counterVersion || 0
+      if (version > this.version || (version === this.version && (props.counterOwner || '') > this.owner)) {
+        const previous = this.value
+        this.value = props.counterValue
+        this.version = version
+        this.owner = props.counterOwner || ''
+        this.events = props.counterEvents || []
+        this.events.forEach(eventID => markEventSeen(this.seenEvents, eventID))
+        this.emitChange(previous, { eventID: this.events[this.events.length - 1] })
+      } else if (version < this.version || props.counterValue !== this.value) {
+        this.save()
+      }
+    }, COUNTER_SYNC_DELAY)
+  }
+
+  save() {
+    this.plugin.objects.update(this.objectID, {
+      counterValue: this.value,
+      counterVersion: this.version,
+      counterOwner: this.owner,
+      counterEvents: this.events,
+      dateModified: Date.now()
+    }, false)
+  }
+}
+
+/**
+ * Access Policy Component
+ *
+ * Limits who can send a set of ActionIDs: allow and deny lists of user IDs and roles, a rate limit and a
+ * once-per-user limit per user, and a requirement to be inside the sending trigger's zone. Every client checks
+ * each trigger against the policies itself, using the sender's user ID as reported by the host. The users who
+ * have used a once-per-user ActionID are saved on the object.
+ */
+class AccessPolicyComponent extends BaseComponent {
+  async onLoad() {
+    this.sendTimes = {}
+    this.usedBy = {}
+    this.syncTimer = null
+    this.readSettings()
+    this.plugin.accessComponents.push(this)
+    this.userID = await this.plugin.user.getID()
+
+    const props = await this.plugin.objects.get(this.objectID)
+    this.usedBy = mergeUserLists(this.usedBy, (props && props.accessUsers) || {})
+  }
+
+  async onSettingsUpdated() {
+    this.readSettings()
+  }
+
+  readSettings() {
+    this.actionIDs = parseList(this.getField('actionIDs') || '*')
+    this.allow = parseList(this.getField('allow'))
+    this.deny = parseList(this.getField('deny'))
+    this.admins = parseList(this.getField('admins'))
+    this.roles = parseJSONObject(this.getField('roles'))
+  }
+
+  onUnload() {
+    if (this.syncTimer) {
+      clearTimeout(this.syncTimer)
+      this.syncTimer = null
+    }
+    const index = this.plugin.accessComponents.indexOf(this)
+    if (index > -1) {
+      this.plugin.accessComponents.splice(index, 1)
+    }
+  }
+
+  async onClick() { }
+
+  appliesTo(actionID) {
+    return this.actionIDs.includes('*') || this.actionIDs.includes(actionID)
+  }
+
+  /** Returns true if the sender is one of the user IDs or roles in the list. */
+  matches(list, sender) {
+    return list.some(entry => entry === sender.userID
+      || entry === 'everyone'
+      || (entry === 'admin' && sender.isAdmin)
+      || (entry === 'visitor' && !sender.isAdmin)
+      || this.plugin.hasRole(sender.userID, entry))
+  }
+
+  /** Returns the reason this policy refuses the trigger, or an empty string if it lets it through. */
+  async check(msg, sender) {
+    if (this.matches(this.deny, sender)) return 'The sender is on the Deny list'
+    if (this.allow.length > 0 && !this.matches(this.allow, sender)) return 'The sender is not on the Allow list'
+    if (String(this.getField('oncePerUser')).toLowerCase() === "true" && (this.usedBy[msg.actionID] || []).includes(sender.userID)) {
+      return 'The sender has already used this ActionID once'
+    }
+    const limit = parseInt(this.getField('rateLimit')) || 0
+    if (limit > 0) {
+      const windowMs = (parseFloat(this.getField('rateWindow')) || 60) * 1000
+      const now = Date.now()
+      const times = (this.sendTimes[msg.actionID + '|' + sender.userID] || []).filter(time => now - time < windowMs)
+      if (times.length >= limit) return 'Rate limit of ' + limit + ' per ' + windowMs / 1000 + ' seconds reached'
+    }
+    if (String(this.getField('requireInZone')).toLowerCase() === "true" && !await this.plugin.isSenderInZone(msg, sender)) {
+      return 'The sender is not inside the zone of the trigger'
+    }
+    return ''
+  }
+
+  /** Counts an accepted trigger towards the rate limit and the once-per-user limit. */
+  record(msg, sender) {
+    if ((parseInt(this.getField('rateLimit')) || 0) > 0) {
+      const windowMs = (parseFloat(this.getField('rateWindow')) || 60) * 1000
+      const key = msg.actionID + '|' + sender.userID
+      const now = Date.now()
+      this.sendTimes[key] = (this.sendTimes[key] || []).filter(time => now - time < windowMs).concat(now)
+    }
+    if (String(this.getField('oncePerUser')).toLowerCase() === "true") {
+      this.usedBy = { ...this.usedBy, [msg.actionID]: (this.usedBy[msg.actionID] || []).concat(sender.userID) }
+      // The sender's client saves it; the others repair the saved list if concurrent saves lost an entry.
+      if (sender.userID === this.userID) this.save()
+    }
+  }
+
+  onObjectUpdated() {
+    const saved = this.fields.accessUsers || {}
+    const merged = mergeUserLists(this.usedBy, saved)
+    this.usedBy = merged
+    if (JSON.stringify(merged) !== JSON.stringify(mergeUserLists(saved, {}))) this.scheduleSync()
+  }
+
+  /** Saves the merged list after COUNTER_SYNC_DELAY if the saved list still lacks some of this client's entries. */
+  scheduleSync() {
+    if (this.syncTimer) return
+    this.syncTimer = setTimeout(async () => {
+      this.syncTimer = null
+      const props = await this.plugin.objects.get(this.objectID)
+      const saved = (props && props.accessUsers) || {}
+      this.usedBy = mergeUserLists(this.usedBy, saved)
+      if (JSON.stringify(this.usedBy) !== JSON.stringify(mergeUserLists(saved, {}))) this.save()
+    }, COUNTER_SYNC_DELAY)
+  }
+
+  async save() {
+    const props = await this.plugin.objects.get(this.objectID)
+    this.usedBy = mergeUserLists(this.usedBy, (props && props.accessUsers) || {})
+    this.plugin.objects.update(this.objectID, { accessUsers: this.usedBy, dateModified: Date.now() }, false)
+  }
+
+  async validate(links) {
+    const issues = []
+    const report = issueReporter(issues, this.objectID, 'Access Policy')
+    const rolesError = getJSONError(this.getField('roles'))
+    if (rolesError) {
+      report('error', 'Its Roles are not valid JSON (' + rolesError + ').', 'Enter a JSON object such as {"staff": ["user-id-1"]}.')
+    }
+    for (const actionID of this.actionIDs.filter(id => id !== '*')) {
+      if (!links.sent.has(actionID)) {
+        report('warning', 'Nothing sends its ActionID "' + actionID + '".', 'Use the ActionID of an existing trigger.')
+      }
+    }
+    const usesAdmin = this.allow.concat(this.deny).includes('admin') || this.allow.concat(this.deny).includes('visitor')
+    if (usesAdmin && !this.plugin.accessComponents.some(comp => comp.admins.length > 0)) {
+      report('warning', 'It checks for admins, but no access policy lists Admin IDs, so it relies on the admin flag the sender puts in the trigger.', 'List the admins\' user IDs in Admin IDs.')
+    }
+    if (!(parseFloat(this.getField('rateWindow')) > 0) && (parseInt(this.getField('rateLimit')) || 0) > 0) {
+      report('error', 'Its Rate Window is not a positive number of seconds.', 'Enter the number of seconds over which the Rate Limit counts.')
     }
+    return issues
   }
 }
@@ -0,0 +1,72 @@
+/**
+ * Asset Link Simulator Check
+ *
+ * Runs scenes in the simulator and compares each timeline with the expected one saved next to the scene
+ * (door.json is compared with door.expected.json). Prints the first difference of every scene that no longer
+ * matches and exits with code 1 if any does.
+ *
+ *   node simulator/check.mjs [scene.json ...] [--update]
+ *
+ * Without scene files, it checks every scene in simulator/examples. With --update, it saves the current
+ * timelines as the expected ones instead, for a scene that is new or whose change was intended.
+ */
+import { readdir, readFile, writeFile } from 'fs/promises'
+import { join, relative } from 'path'
+import { fileURLToPath } from 'url'
+import { simulate } from './simulate.mjs'
+
+const EXAMPLES = fileURLToPath(new URL('./examples', import.meta.url))
+
+/** Returns the path of the expected timeline for a scene file. */
+function getExpectedPath(sceneFile) {
+  return sceneFile.replace(/\.json$/, '') + '.expected.json'
+}
+
+/** Returns the first difference between two timelines as text, or null if they match. */
+function findDifference(expected, actual) {
+  for (let i = 0; i < Math.max(expected.length, actual.length); i++) {
+    const want = JSON.stringify(expected[i])
+    const got = JSON.stringify(actual[i])
+    if (want !== got) return 'entry ' + i + ':\n  expected ' + (want || 'nothing') + '\n  got      ' + (got || 'nothing')
+  }
+  return null
+}
+
+const args = process.argv.slice(2)
+const update = args.includes('--update')
+let files = args.filter(arg => !arg.startsWith('--'))
+if (files.length === 0) {
+  files = (await readdir(EXAMPLES))
+    .filter(name => name.endsWith('.json') && !name.endsWith('.expected.json'))
+    .sort()
+    .map(name => join(EXAMPLES, name))
+}
+
+let failed = 0
+for (const file of files) {
+  const name = relative(process.cwd(), file)
+  const scene = JSON.parse(await readFile(file, 'utf8'))
+  const timeline = JSON.parse(JSON.stringify(await simulate(scene)))
+  const expectedPath = getExpectedPath(name)
+  if (update) {
+    await writeFile(expectedPath, JSON.stringify(timeline, null, 2) + '\n')
+    console.log('updated  ' + expectedPath)
+    continue
+  }
+  let expected
+  try {
+    expected = JSON.parse(await readFile(expectedPath, 'utf8'))
+  } catch (err) {
+    failed++
+    console.log('missing  ' + expectedPath + ' (run with --update to create it)')
+    continue
+  }
+  const difference = findDifference(expected, timeline)
+  if (difference) {
+    failed++
+    console.log('FAILED   ' + name + ', ' + difference)
+  } else {
+    console.log('ok       ' + name)
+  }
+}
+if (failed > 0) process.exit(1)
@@ -0,0 +1,385 @@
+/**
+ * In-memory stand-in for the vatom-spaces-plugins host.
+ *
+ * Provides BasePlugin and BaseComponent together with a Space that plays the part of the server: it keeps the
+ * shared object properties, delivers messages between the clients of the users in the space, and runs all
+ * timers on a virtual clock so that a simulation produces the same timeline every time it is run.
+ *
+ * Only the parts of the host API that the Asset Link plugin uses are implemented.
+ */
+
+/** Milliseconds a message or property change takes to reach the other clients. */
+const LATENCY = 20
+
+/** A held key starts repeating after KEY_REPEAT_DELAY and then repeats every KEY_REPEAT_INTERVAL (in milliseconds). */
+const KEY_REPEAT_DELAY = 500
+const KEY_REPEAT_INTERVAL = 50
+
+/** Properties the plugin keeps for its own bookkeeping. They are left out of the timeline. */
+const BOOKKEEPING = ['dateModified', 'stateVersion', 'stateOwner', 'inFlight', 'currentDirection', 'logicLatched', 'logicSequenceIndex', 'counterVersion', 'counterOwner', 'counterEvents', 'randomDraws', 'effectBases']
+
+export class BasePlugin { }
+
+export class BaseComponent {
+  getField(id) {
+    return this.componentFields[id]
+  }
+
+  /** Sends a message to this component on this client (local) or on every client. */
+  sendMessage(msg, local) {
+    const copy = JSON.parse(JSON.stringify(msg))
+    if (local) {
+      this.space.clock.setTimeout(() => this.onMessage && this.onMessage(copy), 0)
+      return
+    }
+    this.space.clients.forEach(client => {
+      const comp = client.components.find(c => c.objectID === this.objectID && c.componentID === this.componentID)
+      if (comp) this.space.clock.setTimeout(() => comp.onMessage && comp.onMessage(copy), client === this.client ? 0 : LATENCY)
+    })
+  }
+}
+
+/**
+ * Virtual clock. Timers fire in order of their time (ties in the order they were set), and all promise
+ * callbacks are settled between two timers.
+ */
+export class Clock {
+  constructor(epoch) {
+    this.epoch = epoch
+    this.now = 0
+    this.timers = []
+    this.lastID = 0
+  }
+
+  setTimeout(fn, ms, ...args) {
+    const id = ++this.lastID
+    this.timers.push({ id: id, time: this.now + Math.max(0, Number(ms) || 0), fn: () => fn(...args) })
+    return id
+  }
+
+  setInterval(fn, ms, ...args) {
+    const id = ++this.lastID
+    const interval = Math.max(1, Number(ms) || 0)
+    const schedule = time => this.timers.push({ id: id, time: time, fn: () => { schedule(this.now + interval); fn(...args) } })
+    schedule(this.now + interval)
+    return id
+  }
+
+  clearTimeout(id) {
+    this.timers = this.timers.filter(timer => timer.id !== id)
+  }
+
+  /** Runs every timer due up to the given time (in milliseconds since the start). */
+  async runUntil(time) {
+    await settle()
+    while (true) {
+      let next = null
+      for (const timer of this.timers) {
+        if (timer.time <= time && (!next || timer.time < next.time || (timer.time === next.time && timer.id < next.id))) next = timer
+      }
+      if (!next) break
+      this.timers.splice(this.timers.indexOf(next), 1)
+      this.now = next.time
+      try {
+        next.fn()
+      } catch (e) {
+        console.error(e)
+      }
+      await settle()
+    }
+    this.now = Math.max(this.now, time)
+  }
+
+  /** Replaces the global timers, Date and Math.random with virtual ones. Returns a function that restores them. */
+  install(seed) {
+    const clock = this
+    const saved = { setTimeout, clearTimeout, setInterval, clearInterval, Date, random: Math.random }
+    const RealDate = Date
+    class VirtualDate extends RealDate {
+      constructor(...args) {
+        if (args.length === 0) super(clock.epoch + clock.now)
+        else super(...args)
+      }
+      static now() {
+        return clock.epoch + clock.now
+      }
+    }
+    globalThis.setTimeout = this.setTimeout.bind(this)
+    globalThis.clearTimeout = this.clearTimeout.bind(this)
+    globalThis.setInterval = this.setInterval.bind(this)
+    globalThis.clearInterval = this.clearTimeout.bind(this)
+    globalThis.Date = VirtualDate
+    Math.random = createRandom(seed)
+    return () => {
+      globalThis.setTimeout = saved.setTimeout
+      globalThis.clearTimeout = saved.clearTimeout
+      globalThis.setInterval = saved.setInterval
+      globalThis.clearInterval = saved.clearInterval
+      globalThis.Date = saved.Date
+      Math.random = saved.random
+    }
+  }
+}
+
+/** Lets every pending promise callback run. setImmediate is left alone by Clock.install for this purpose. */
+async function settle() {
+  for (let i = 0; i < 3; i++) await new Promise(resolve => setImmediate(resolve))
+}
+
+/** Returns a seeded random number generator (mulberry32). */
+function createRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * The space being simulated: shared object properties, the users' clients and the recorded timeline.
+ *
+ * A scene is { objects: { objectID: properties }, components: [{ objectID, component, fields }] }. Object
+ * properties may include "animations": [{ name, duration }], which objects.getAnimations returns.
+ */
+export class Space {
+  constructor(PluginClass, scene, options = {}) {
+    this.PluginClass = PluginClass
+    this.scene = scene
+    this.objects = JSON.parse(JSON.stringify(scene.objects || {}))
+    this.clock = new Clock(options.epoch || 0)
+    this.clients = []
+    this.timeline = []
+    this.lastAudioID = 0
+  }
+
+  record(user, type, details) {
+    this.timeline.push({ time: this.clock.now, user: user || '', type: type, ...details })
+  }
+
+  /** Adds a user, loads the plugin on their client and then every component in the scene. */
+  async join(userID, options = {}) {
+    const client = new Client(this, userID, options)
+    this.clients.push(client)
+    this.record(userID, 'join')
+    await client.load()
+    return client
+  }
+
+  async leave(userID) {
+    const client = this.getClient(userID)
+    this.record(userID, 'leave')
+    client.unload()
+    this.clients.splice(this.clients.indexOf(client), 1)
+  }
+
+  getClient(userID) {
+    const client = this.clients.find(c => c.userID === userID)
+    if (!client) throw new Error('User "' + userID + '" has not joined')
+    return client
+  }
+
+  /** Saves property changes and passes them to every client, recording animation, state and other changes. */
+  updateObject(objectID, props) {
+    const object = this.objects[objectID] || (this.objects[objectID] = {})
+    for (const key of Object.keys(props)) {
+      if (JSON.stringify(object[key]) === JSON.stringify(props[key])) continue
+      if (key === 'animation') {
+        const names = [].concat(props.animation || []).map(a => a.name + (a.speed ? ' x' + a.speed : ''))
+        this.record('', 'animation', { objectID: objectID, value: names.join(', ') })
+      } else if (key === 'currentState') {
+        this.record('', 'state', { objectID: objectID, value: props.currentState })
+      } else if (!BOOKKEEPING.includes(key)) {
+        this.record('', 'property', { objectID: objectID, key: key, value: props[key] })
+      }
+      object[key] = props[key]
+    }
+    this.clients.forEach(client => this.clock.setTimeout(() => client.applyObjectUpdate(objectID), LATENCY))
+  }
+
+  /** Delivers a message to every client's plugin, with the sender's user ID: at once to the sender, after LATENCY to the others. */
+  broadcast(sender, msg) {
+    if (msg.action === 'trigger') {
+      this.record(sender.userID, 'trigger', { objectID: msg.objectID, actionID: msg.actionID, command: msg.command })
+    }
+    this.clients.forEach(client => {
+      const copy = JSON.parse(JSON.stringify(msg))
+      this.clock.setTimeout(() => client.plugin.onMessage(copy, sender.userID), client === sender ? 0 : LATENCY)
+    })
+  }
+}
+
+/** One user's client: a plugin instance with host APIs bound to this user, and its component instances. */
+class Client {
+  constructor(space, userID, options) {
+    this.space = space
+    this.userID = userID
+    this.admin = !!options.admin
+    this.position = toPosition(options.position)
+    this.lookingAt = ''
+    this.localProps = {}
+    this.components = []
+    this.definitions = {}
+    this.plugin = new space.PluginClass()
+    this.plugin.objects = this.createObjectsAPI()
+    this.plugin.messages = { send: (msg, local) => local ? this.deliver(msg) : space.broadcast(this, msg) }
+    this.plugin.user = {
+      getID: async () => this.userID,
+      isAdmin: async () => this.admin,
+      getPosition: async () => ({ ...this.position }),
+      getUserLocation: async id => {
+        const client = space.clients.find(c => c.userID === id)
+        return client ? { ...client.position } : null
+      },
+      getNearbyUsers: async () => space.clients.filter(c => c !== this).map(c => ({ id: c.userID, distance: distance(c.position, this.position) }))
+    }
+    this.plugin.world = { raycast: async () => this.raycast() }
+    this.plugin.audio = this.createAudioAPI()
+    this.plugin.paths = { absolute: path => path }
+    this.plugin.menus = {
+      register() { },
+      unregister() { },
+      postMessage() { },
+      alert: text => space.record(userID, 'alert', { value: text }),
+      toast: options => space.record(userID, 'toast', { value: options.text })
+    }
+    this.hookHandlers = {}
+    this.plugin.hooks = {
+      addHandler: (name, handler) => (this.hookHandlers[name] = this.hookHandlers[name] || []).push(handler),
+      trigger: (name, data) => (this.hookHandlers[name] || []).forEach(handler => handler(data))
+    }
+  }
+
+  createObjectsAPI() {
+    return {
+      registerComponent: (cls, definition) => {
+        this.definitions[definition.id] = { cls, definition }
+      },
+      get: async objectID => {
+        const object = this.space.objects[objectID]
+        return object ? JSON.parse(JSON.stringify({ ...object, ...this.localProps[objectID] })) : null
+      },
+      update: async (objectID, props, local) => {
+        if (local) {
+          this.localProps[objectID] = { ...this.localProps[objectID], ...props }
+          return
+        }
+        if (this.localProps[objectID]) Object.keys(props).forEach(key => delete this.localProps[objectID][key])
+        this.space.updateObject(objectID, JSON.parse(JSON.stringify(props)))
+      },
+      getAnimations: async objectID => JSON.stringify((this.space.objects[objectID] && this.space.objects[objectID].animations) || [])
+    }
+  }
+
+  createAudioAPI() {
+    const playing = {}
+    return {
+      play: async (url, options = {}) => {
+        const id = ++this.space.lastAudioID
+        playing[id] = url
+        this.space.record(this.userID, 'sound', { value: url, volume: round(options.volume), loop: !!options.loop, at: [options.x || 0, options.y || 0, options.height || 0].map(round) })
+        return id
+      },
+      stop: id => {
+        if (!(id in playing)) return
+        this.space.record(this.userID, 'sound-stop', { value: playing[id] })
+        delete playing[id]
+      },
+      setVolume: () => { }
+    }
+  }
+
+  deliver(msg) {
+    const copy = JSON.parse(JSON.stringify(msg))
+    this.space.clock.setTimeout(() => this.plugin.onMessage(copy, this.userID), 0)
+  }
+
+  async load() {
+    await this.plugin.onLoad()
+    for (const entry of this.space.scene.components || []) {
+      const registered = this.definitions[entry.component]
+      if (!registered) throw new Error('Unknown component "' + entry.component + '"')
+      const comp = new registered.cls()
+      const defaults = {}
+      registered.definition.settings.forEach(setting => {
+        if (typeof setting.default !== 'undefined') defaults[setting.id] = setting.default
+      })
+      Object.assign(comp, {
+        plugin: this.plugin,
+        space: this.space,
+        client: this,
+        objectID: entry.objectID,
+        componentID: entry.component,
+        fields: { x: 0, y: 0, height: 0, ...this.space.objects[entry.objectID] },
+        componentFields: { ...defaults, ...entry.fields }
+      })
+      this.components.push(comp)
+      await comp.onLoad()
+    }
+  }
+
+  unload() {
+    this.components.forEach(comp => comp.onUnload && comp.onUnload())
+    this.components = []
+    if (this.plugin.onUnload) this.plugin.onUnload()
+  }
+
+  applyObjectUpdate(objectID) {
+    this.components.filter(comp => comp.objectID === objectID).forEach(comp => {
+      comp.fields = { ...comp.fields, ...this.space.objects[objectID] }
+      if (comp.onObjectUpdated) comp.onObjectUpdated(comp.fields)
+    })
+  }
+
+  click(objectID) {
+    this.space.record(this.userID, 'click', { objectID: objectID })
+    this.components.filter(comp => comp.objectID === objectID && comp.onClick).forEach(comp => comp.onClick())
+  }
+
+  /** Presses a key. A key held for some seconds repeats as a keyboard's does. */
+  key(key, hold) {
+    this.space.record(this.userID, 'key', { value: key, hold: hold || undefined })
+    this.plugin.hooks.trigger('controls.key.down', { key: key })
+    const end = this.space.clock.now + (hold || 0) * 1000
+    const repeat = () => {
+      if (this.space.clock.now > end || !this.space.clients.includes(this)) return
+      this.plugin.hooks.trigger('controls.key.down', { key: key, repeat: true })
+      this.space.clock.setTimeout(repeat, KEY_REPEAT_INTERVAL)
+    }
+    this.space.clock.setTimeout(repeat, KEY_REPEAT_DELAY)
+  }
+
+  /** Returns the object the user looks at, as a raycast from the center of the view would hit it. */
+  raycast() {
+    const object = this.space.objects[this.lookingAt]
+    if (!object) return []
+    return [{ mapItem: { id: this.lookingAt, isAvatar: false }, distance: distance(toPosition([object.x, object.y, object.height]), this.position) }]
+  }
+
+  /** Turns the user's view to an object, or away from every object if objectID is empty. */
+  look(objectID) {
+    this.lookingAt = objectID || ''
+    this.space.record(this.userID, 'look', { objectID: this.lookingAt || undefined })
+  }
+
+  move(position) {
+    this.position = toPosition(position)
+    this.space.record(this.userID, 'move', { value: [this.position.x, this.position.y, this.position.z] })
+  }
+}
+
+/** Accepts a position as [x, y, height] or { x, y, z }. */
+function toPosition(position) {
+  if (Array.isArray(position)) return { x: position[0] || 0, y: position[1] || 0, z: position[2] || 0 }
+  return { x: 0, y: 0, z: 0, ...position }
+}
+
+function distance(a, b) {
+  return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2)
+}
+
+function round(value) {
+  return typeof value === 'number' ? Math.round(value * 1000) / 1000 : value
+}
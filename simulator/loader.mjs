@@ -0,0 +1,21 @@
+/**
+ * Module hooks that load the plugin's index.js as an ES module and resolve its vatom-spaces-plugins import
+ * to the in-memory host, so that the plugin runs on plain Node without the plugin SDK.
+ */
+import { readFile } from 'fs/promises'
+import { fileURLToPath } from 'url'
+
+const HOST_URL = new URL('./host.mjs', import.meta.url).href
+const PLUGIN_URL = new URL('../index.js', import.meta.url).href
+
+export async function resolve(specifier, context, next) {
+  if (specifier === 'vatom-spaces-plugins') return { url: HOST_URL, shortCircuit: true }
+  return next(specifier, context)
+}
+
+export async function load(url, context, next) {
+  if (url === PLUGIN_URL) {
+    return { format: 'module', source: await readFile(fileURLToPath(url), 'utf8'), shortCircuit: true }
+  }
+  return next(url, context)
+}
@@ -0,0 +1,83 @@
+/**
+ * Asset Link Simulator
+ *
+ * Runs the plugin headless against the in-memory host and prints a timeline of what happens in the space.
+ *
+ *   node simulator/simulate.mjs <scene.json> [script.json] [--json]
+ *
+ * The scene holds the objects and components ({ objects, components }) and may also hold the script, a
+ * "duration" in seconds (by default 10 seconds after the last action), a random "seed" and a "startTime"
+ * (ISO date, used by Schedule triggers). The script is a list of user actions with "at" in seconds:
+ *
+ *   { "at": 0, "join": "alice", "admin": true, "position": [0, 0, 0] }
+ *   { "at": 1, "click": "<object ID>", "user": "alice" }
+ *   { "at": 2, "move": "alice", "position": [4, 0, 0] }
+ *   { "at": 2, "key": "E", "user": "alice" }                 (add "hold": <seconds> to hold the key down)
+ *   { "at": 2, "look": "<object ID>", "user": "alice" }      (an empty ID looks away)
+ *   { "at": 3, "leave": "alice" }
+ *
+ * Everything runs on a virtual clock with a seeded random number generator, so the same scene and script
+ * always produce the same timeline. simulator/check.mjs compares the timelines of scenes with saved ones.
+ */
+import { register } from 'module'
+import { readFile } from 'fs/promises'
+import { resolve } from 'path'
+import { fileURLToPath } from 'url'
+
+register('./loader.mjs', import.meta.url)
+const { Space } = await import('./host.mjs')
+const { default: AssetLink } = await import('../index.js')
+
+/** Runs a scene and script and returns the timeline. */
+export async function simulate(scene, script) {
+  const actions = (script || scene.script || []).slice().sort((a, b) => (a.at || 0) - (b.at || 0))
+  const end = ((typeof scene.duration === 'number' ? scene.duration : (actions.length ? actions[actions.length - 1].at || 0 : 0) + 10)) * 1000
+  const space = new Space(AssetLink, scene, { epoch: Date.parse(scene.startTime || '2024-01-01T00:00:00Z') })
+  const restore = space.clock.install(typeof scene.seed === 'number' ? scene.seed : 1)
+  try {
+    for (const action of actions) {
+      await space.clock.runUntil((action.at || 0) * 1000)
+      if (action.join) {
+        await space.join(action.join, action)
+      } else if (action.leave) {
+        await space.leave(action.leave)
+      } else if (action.click) {
+        space.getClient(action.user).click(action.click)
+      } else if (action.key) {
+        space.getClient(action.user).key(action.key, action.hold)
+      } else if ('look' in action) {
+        space.getClient(action.user).look(action.look)
+      } else if (action.move) {
+        space.getClient(action.move).move(action.position)
+      } else {
+        throw new Error('Unknown action ' + JSON.stringify(action))
+      }
+    }
+    await space.clock.runUntil(end)
+    space.clients.slice().forEach(client => client.unload())
+  } finally {
+    restore()
+  }
+  return space.timeline
+}
+
+function formatEntry(entry) {
+  const time = (entry.time / 1000).toFixed(3).padStart(9) + 's'
+  const details = Object.keys(entry)
+    .filter(key => !['time', 'user', 'type'].includes(key) && typeof entry[key] !== 'undefined')
+    .map(key => key + '=' + (typeof entry[key] === 'string' ? entry[key] : JSON.stringify(entry[key])))
+  return [time, (entry.user || '-').padEnd(10), entry.type.padEnd(10), ...details].join('  ')
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2)
+  const files = args.filter(arg => !arg.startsWith('--'))
+  if (files.length === 0) {
+    console.error('Usage: node simulator/simulate.mjs <scene.json> [script.json] [--json]')
+    process.exit(1)
+  }
+  const scene = JSON.parse(await readFile(files[0], 'utf8'))
+  const script = files[1] ? JSON.parse(await readFile(files[1], 'utf8')) : null
+  const timeline = await simulate(scene, script)
+  console.log(args.includes('--json') ? JSON.stringify(timeline, null, 2) : timeline.map(formatEntry).join('\n'))
+}